@@ -1,14 +1,14 @@
 /**
  * Reports Component
- * Demonstrates: computed, list, effect
+ * Demonstrates: computed, workerComputed, list, effect
  */
 import { html } from '../../../framework/src/core/template.js'
 import { effect, computed } from '../../../framework/src/core/signal.js'
 import { list } from '../../../framework/src/core/list.js'
+import { workerComputed } from '../../../framework/src/core/worker.js'
 import { categories } from '../data.js'
 import {
   expenses,
-  expensesByCategory,
   totalExpenses,
   monthlyTotal,
   averageExpense,
@@ -17,20 +17,14 @@ import {
 } from '../store.js'
 
 export function Reports() {
-  // Computed: category stats sorted by amount
-  const categoryStats = computed(() => {
-    const byCategory = expensesByCategory()
-    const total = totalExpenses()
-
-    return categories
-      .map(cat => ({
-        ...cat,
-        amount: byCategory[cat.id] || 0,
-        percentage: total > 0 ? ((byCategory[cat.id] || 0) / total) * 100 : 0
-      }))
-      .filter(cat => cat.amount > 0)
-      .sort((a, b) => b.amount - a.amount)
-  })
+  // Category stats sorted by amount, computed in a worker so large
+  // expense lists don't block the UI; the worker stops with this view
+  const categoryStats = workerComputed(
+    new URL('../reports.js', import.meta.url),
+    'categoryStats',
+    [expenses],
+    { initialValue: [] }
+  )
 
   // Computed: monthly recurring cost
   const monthlyRecurringCost = computed(() => {
@@ -1,36 +1,23 @@
 /**
  * Settings Component
- * Demonstrates: createPersistedSignal, bindSelect, bindCheckbox, bindNumber
+ * Demonstrates: createPersistedSignal, lens, bindSelect, bindCheckbox, bindNumber
  */
 import { html } from '../../../framework/src/core/template.js'
-import { signal } from '../../../framework/src/core/signal.js'
-import { bindSelect, bindCheckbox, bindNumber } from '../../../framework/src/core/form.js'
-import { settings, updateSettings, setExpenses } from '../store.js'
+import { effect } from '../../../framework/src/core/signal.js'
+import { lens, bindSelect, bindCheckbox, bindNumber } from '../../../framework/src/core/form.js'
+import { settings, setSettings, setExpenses } from '../store.js'
 import { sampleExpenses } from '../data.js'
 
 export function Settings() {
-  // Local signals bound to settings
-  const [currency, setCurrency] = signal(settings().currency)
-  const [darkMode, setDarkMode] = signal(settings().darkMode)
-  const [monthlyBudget, setMonthlyBudget] = signal(settings().monthlyBudget)
+  // Each field reads from and writes back to the persisted settings object
+  const currency = lens([settings, setSettings], 'currency')
+  const darkMode = lens([settings, setSettings], 'darkMode')
+  const monthlyBudget = lens([settings, setSettings], 'monthlyBudget')
 
-  // Save settings when changed
-  const saveCurrency = (value) => {
-    setCurrency(value)
-    updateSettings({ currency: value })
-  }
-
-  const saveDarkMode = (value) => {
-    setDarkMode(value)
-    updateSettings({ darkMode: value })
-    // Toggle dark mode class on body
-    document.body.classList.toggle('dark-mode', value)
-  }
-
-  const saveBudget = (value) => {
-    setMonthlyBudget(value)
-    updateSettings({ monthlyBudget: value })
-  }
+  // Keep the body class in step with the setting
+  effect(() => {
+    document.body.classList.toggle('dark-mode', settings().darkMode)
+  })
 
   // Reset to sample data
   const resetData = () => {
@@ -46,11 +33,6 @@ export function Settings() {
     }
   }
 
-  // Initialize dark mode on mount
-  if (darkMode()) {
-    document.body.classList.add('dark-mode')
-  }
-
   const currencies = [
     { id: 'USD', label: 'US Dollar ($)' },
     { id: 'EUR', label: 'Euro (€)' },
@@ -66,11 +48,7 @@ export function Settings() {
       <!-- Currency Selection with bindSelect -->
       <div class="settings-section">
         <div class="settings-title">Currency</div>
-        <select
-          class="form-select"
-          value="${() => currency()}"
-          onchange=${(e) => saveCurrency(e.target.value)}
-        >
+        <select class="form-select" ${bindSelect(currency)}>
           ${currencies.map(curr => html`
             <option value="${curr.id}">${curr.label}</option>
           `)}
@@ -85,8 +63,7 @@ export function Settings() {
           class="form-input"
           min="0"
           step="100"
-          value="${() => monthlyBudget()}"
-          oninput=${(e) => saveBudget(parseFloat(e.target.value) || 0)}
+          ${bindNumber(monthlyBudget)}
         />
         <p style="margin-top: 8px; color: var(--text-muted); font-size: 0.8rem;">
           You'll see a warning when your monthly spending exceeds this amount.
@@ -99,7 +76,7 @@ export function Settings() {
         <label class="checkbox-label">
           <input
             type="checkbox"
-            ${bindCheckbox([darkMode, saveDarkMode])}
+            ${bindCheckbox(darkMode)}
           />
           Dark Mode
         </label>
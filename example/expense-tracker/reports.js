@@ -0,0 +1,28 @@
+/**
+ * Report derivations
+ * Pure functions of the expense list, so they can run in a worker
+ * (see workerComputed in components/Reports.js)
+ */
+import { categories } from './data.js'
+
+/**
+ * Spending per category with its share of the total, largest first
+ * Categories without spending are left out
+ */
+export function categoryStats(expenses) {
+  const byCategory = {}
+  let total = 0
+  expenses.forEach(exp => {
+    byCategory[exp.category] = (byCategory[exp.category] || 0) + exp.amount
+    total += exp.amount
+  })
+
+  return categories
+    .map(cat => ({
+      ...cat,
+      amount: byCategory[cat.id] || 0,
+      percentage: total > 0 ? ((byCategory[cat.id] || 0) / total) * 100 : 0
+    }))
+    .filter(cat => cat.amount > 0)
+    .sort((a, b) => b.amount - a.amount)
+}
@@ -1,13 +1,15 @@
 /**
  * Expense Tracker Store
- * Demonstrates: signal, computed, createPersistedSignal, generateId
+ * Demonstrates: signal, computed, watch, createPersistedSignal, debounced, now, generateId
  */
-import { signal, computed, createPersistedSignal } from '../../framework/src/core/signal.js'
+import { signal, computed, watch, createPersistedSignal, shallowEqual } from '../../framework/src/core/signal.js'
+import { debounced, now } from '../../framework/src/core/time.js'
 import { generateId } from '../../framework/src/core/utils.js'
 import { sampleExpenses, categories } from './data.js'
 
 // Initialize expenses from localStorage, merge with sample data if empty
-const [expenses, setExpenses] = createPersistedSignal('expense-tracker-expenses', [])
+// sync: other open tabs see added and deleted expenses
+const [expenses, setExpenses] = createPersistedSignal('expense-tracker-expenses', [], { sync: true })
 
 // Initialize with sample data if localStorage is empty
 if (expenses().length === 0) {
@@ -19,6 +21,11 @@ const [settings, setSettings] = createPersistedSignal('expense-tracker-settings'
   currency: 'USD',
   darkMode: false,
   monthlyBudget: 1000
+}, { sync: true })
+
+// Log budget changes; only the budget is tracked, not the rest of settings
+watch(() => settings().monthlyBudget, (budget, prevBudget) => {
+  console.log(`Monthly budget changed from ${prevBudget} to ${budget}`)
 })
 
 // Current filter for expense list
@@ -27,11 +34,19 @@ const [categoryFilter, setCategoryFilter] = signal('all')
 // Search query
 const [searchQuery, setSearchQuery] = signal('')
 
+// Filtering waits until typing pauses instead of running on every keystroke
+const debouncedQuery = debounced(searchQuery, 200)
+
+// Current time, updated every hour so the month rolls over while the app is open
+const currentHour = now(60 * 60 * 1000)
+
 // Computed: filtered expenses
+// shallowEqual keeps the previous array when a filter change yields the same
+// expenses, so the list does not re-render
 const filteredExpenses = computed(() => {
   let result = expenses()
   const category = categoryFilter()
-  const query = searchQuery().toLowerCase()
+  const query = debouncedQuery().toLowerCase()
 
   if (category !== 'all') {
     result = result.filter(exp => exp.category === category)
@@ -44,7 +59,7 @@ const filteredExpenses = computed(() => {
   }
 
   return result
-})
+}, { equals: shallowEqual })
 
 // Computed: total of all expenses
 const totalExpenses = computed(() => {
@@ -53,9 +68,9 @@ const totalExpenses = computed(() => {
 
 // Computed: monthly total (current month)
 const monthlyTotal = computed(() => {
-  const now = new Date()
-  const currentMonth = now.getMonth()
-  const currentYear = now.getFullYear()
+  const today = new Date(currentHour())
+  const currentMonth = today.getMonth()
+  const currentYear = today.getFullYear()
 
   return expenses()
     .filter(exp => {
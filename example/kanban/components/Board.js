@@ -3,7 +3,7 @@
  * Displays all columns in a horizontal row with reactive updates
  */
 import { html } from '../../../framework/src/core/template.js'
-import { effect } from '../../../framework/src/core/signal.js'
+import { effect, createRoot } from '../../../framework/src/core/signal.js'
 import { columns, getCardsForColumn, addColumn } from '../store.js'
 import { Column } from './Column.js'
 
@@ -34,6 +34,7 @@ export function Board() {
   })
 
   // Track rendered columns for proper DOM management
+  // Map of column id -> { element, dispose }
   let renderedColumns = new Map()
 
   // Use effect to reactively update columns when column list changes
@@ -44,9 +45,10 @@ export function Board() {
     const currentIds = new Set(currentColumns.map(c => c.id))
 
     // Remove columns that no longer exist
-    for (const [id, element] of renderedColumns) {
+    for (const [id, { element, dispose }] of renderedColumns) {
       if (!currentIds.has(id)) {
         element.remove()
+        dispose()
         renderedColumns.delete(id)
       }
     }
@@ -55,9 +57,12 @@ export function Board() {
     currentColumns.forEach((column, index) => {
       if (!renderedColumns.has(column.id)) {
         // New column - pass the getter so Column can react to card changes
-        const columnElement = Column(column, getCardsForColumn(column.id), index)
-        columnsContainer.appendChild(columnElement)
-        renderedColumns.set(column.id, columnElement)
+        // Columns outlive this effect run, so each lives in its own root
+        createRoot(dispose => {
+          const columnElement = Column(column, getCardsForColumn(column.id), index)
+          columnsContainer.appendChild(columnElement)
+          renderedColumns.set(column.id, { element: columnElement, dispose })
+        })
       }
       // Existing columns: the Column component handles its own updates via list()
     })
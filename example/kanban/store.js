@@ -1,4 +1,4 @@
-import { signal, computed, createPersistedSignal } from '../../framework/src/core/signal.js'
+import { signal, computed, batch, createPersistedSignal } from '../../framework/src/core/signal.js'
 
 /**
  * Generate a unique ID for cards and columns
@@ -25,8 +25,15 @@ const defaultCards = {}
 /**
  * Columns signal - array of column objects
  * Each column has: { id, title, cardIds: [] }
+ * Version 1 added cardIds; older saved columns are upgraded on load
  */
-export const [columns, setColumns] = createPersistedSignal('kanban-columns', defaultColumns)
+export const [columns, setColumns] = createPersistedSignal('kanban-columns', defaultColumns, {
+  version: 1,
+  migrations: {
+    1: (columns) => columns.map(column => ({ ...column, cardIds: column.cardIds || [] }))
+  },
+  validate: (columns) => Array.isArray(columns) && columns.every(column => Array.isArray(column.cardIds))
+})
 
 /**
  * Cards signal - object map of all cards
@@ -44,25 +51,28 @@ export const [cards, setCards] = createPersistedSignal('kanban-cards', defaultCa
 export function addCard(columnId, title, description = '') {
   const cardId = generateId()
 
-  // Add card to cards map
-  setCards(currentCards => ({
-    ...currentCards,
-    [cardId]: {
-      id: cardId,
-      title,
-      description,
-      columnId
-    }
-  }))
+  // Batch both writes so readers never see a card without its column entry
+  batch(() => {
+    // Add card to cards map
+    setCards(currentCards => ({
+      ...currentCards,
+      [cardId]: {
+        id: cardId,
+        title,
+        description,
+        columnId
+      }
+    }))
 
-  // Add card ID to the column's cardIds array
-  setColumns(currentColumns =>
-    currentColumns.map(column =>
-      column.id === columnId
-        ? { ...column, cardIds: [...column.cardIds, cardId] }
-        : column
+    // Add card ID to the column's cardIds array
+    setColumns(currentColumns =>
+      currentColumns.map(column =>
+        column.id === columnId
+          ? { ...column, cardIds: [...column.cardIds, cardId] }
+          : column
+      )
     )
-  )
+  })
 
   return cardId
 }
@@ -85,33 +95,36 @@ export function moveCard(cardId, toColumnId, toIndex = 0) {
 
   const fromColumnId = card.columnId
 
-  // Update the card's columnId
-  setCards(currentCards => ({
-    ...currentCards,
-    [cardId]: {
-      ...currentCards[cardId],
-      columnId: toColumnId
-    }
-  }))
-
-  // Update columns - remove from source, add to destination
-  setColumns(currentColumns => {
-    return currentColumns.map(column => {
-      if (column.id === fromColumnId && column.id === toColumnId) {
-        // Moving within the same column
-        const newCardIds = column.cardIds.filter(id => id !== cardId)
-        newCardIds.splice(toIndex, 0, cardId)
-        return { ...column, cardIds: newCardIds }
-      } else if (column.id === fromColumnId) {
-        // Remove from source column
-        return { ...column, cardIds: column.cardIds.filter(id => id !== cardId) }
-      } else if (column.id === toColumnId) {
-        // Add to destination column at specified index
-        const newCardIds = [...column.cardIds]
-        newCardIds.splice(toIndex, 0, cardId)
-        return { ...column, cardIds: newCardIds }
+  // Batch so the card's columnId and the columns' cardIds change together
+  batch(() => {
+    // Update the card's columnId
+    setCards(currentCards => ({
+      ...currentCards,
+      [cardId]: {
+        ...currentCards[cardId],
+        columnId: toColumnId
       }
-      return column
+    }))
+
+    // Update columns - remove from source, add to destination
+    setColumns(currentColumns => {
+      return currentColumns.map(column => {
+        if (column.id === fromColumnId && column.id === toColumnId) {
+          // Moving within the same column
+          const newCardIds = column.cardIds.filter(id => id !== cardId)
+          newCardIds.splice(toIndex, 0, cardId)
+          return { ...column, cardIds: newCardIds }
+        } else if (column.id === fromColumnId) {
+          // Remove from source column
+          return { ...column, cardIds: column.cardIds.filter(id => id !== cardId) }
+        } else if (column.id === toColumnId) {
+          // Add to destination column at specified index
+          const newCardIds = [...column.cardIds]
+          newCardIds.splice(toIndex, 0, cardId)
+          return { ...column, cardIds: newCardIds }
+        }
+        return column
+      })
     })
   })
 }
@@ -129,20 +142,23 @@ export function deleteCard(cardId) {
     return
   }
 
-  // Remove card from cards map
-  setCards(currentCards => {
-    const { [cardId]: removed, ...rest } = currentCards
-    return rest
-  })
+  // Batch so readers never see a column referencing a deleted card
+  batch(() => {
+    // Remove card from cards map
+    setCards(currentCards => {
+      const { [cardId]: removed, ...rest } = currentCards
+      return rest
+    })
 
-  // Remove card ID from its column
-  setColumns(currentColumns =>
-    currentColumns.map(column =>
-      column.id === card.columnId
-        ? { ...column, cardIds: column.cardIds.filter(id => id !== cardId) }
-        : column
+    // Remove card ID from its column
+    setColumns(currentColumns =>
+      currentColumns.map(column =>
+        column.id === card.columnId
+          ? { ...column, cardIds: column.cardIds.filter(id => id !== cardId) }
+          : column
+      )
     )
-  )
+  })
 }
 
 /**
@@ -201,21 +217,24 @@ export function deleteColumn(columnId) {
     return
   }
 
-  // Remove all cards in this column
-  if (column.cardIds.length > 0) {
-    setCards(currentCards => {
-      const newCards = { ...currentCards }
-      column.cardIds.forEach(cardId => {
-        delete newCards[cardId]
+  // Batch so readers never see a column whose cards are already gone
+  batch(() => {
+    // Remove all cards in this column
+    if (column.cardIds.length > 0) {
+      setCards(currentCards => {
+        const newCards = { ...currentCards }
+        column.cardIds.forEach(cardId => {
+          delete newCards[cardId]
+        })
+        return newCards
       })
-      return newCards
-    })
-  }
+    }
 
-  // Remove the column
-  setColumns(currentColumns =>
-    currentColumns.filter(c => c.id !== columnId)
-  )
+    // Remove the column
+    setColumns(currentColumns =>
+      currentColumns.filter(c => c.id !== columnId)
+    )
+  })
 }
 
 /**
@@ -81,10 +81,7 @@ function renderView(viewName, params = {}) {
   const container = document.getElementById('view-container')
   if (!container) return
 
-  // Clear container
-  container.innerHTML = ''
-
-  // Render appropriate view
+  // Render appropriate view (mount disposes the previous one)
   if (viewName === 'detail' && params.id) {
     mount(UserDetail(params.id), container)
   } else {
@@ -1,9 +1,9 @@
 /**
  * UserDetail component
- * Demonstrates: route params, individual user fetch, detailed view
+ * Demonstrates: route params, asyncEffect-driven user fetch, detailed view
  */
 import { html } from '../../../framework/src/core/template.js'
-import { fetchUser } from '../store.js'
+import { userDetails, userDetailsState, retryUserDetails } from '../store.js'
 
 /**
  * Loading indicator for detail view
@@ -98,16 +98,16 @@ function UserContent(user) {
 
 /**
  * UserDetail component
+ * The route sets selectedUserId, which the store's asyncEffect loads
  * @param {string} userId - User ID from route params
  */
 export function UserDetail(userId) {
-  // Fetch user data for this specific ID
-  const { data, loading, error, refetch } = fetchUser(userId)
+  const { pending: loading, error } = userDetailsState
 
   // Reactive visibility helpers
-  const showLoading = () => loading() && !data()
+  const showLoading = () => loading() && !userDetails()
   const showError = () => error() && !loading()
-  const showContent = () => data() && !loading()
+  const showContent = () => userDetails() && !loading()
 
   return html`
     <div class="user-detail-container">
@@ -118,13 +118,13 @@ export function UserDetail(userId) {
       <div class="error-state" style="display: ${() => showError() ? 'block' : 'none'}">
         ${() => {
           const err = error()
-          return err ? DetailError(err, userId, refetch) : html`<span></span>`
+          return err ? DetailError(err, userId, retryUserDetails) : html`<span></span>`
         }}
       </div>
 
       <div class="content-state" style="display: ${() => showContent() ? 'block' : 'none'}">
         ${() => {
-          const user = data()
+          const user = userDetails()
           return user ? UserContent(user) : html`<span></span>`
         }}
       </div>
@@ -1,9 +1,9 @@
 /**
  * User Directory Store
- * Demonstrates: useAsync for HTTP state management, signal for selected user
+ * Demonstrates: useAsync for HTTP state management, asyncEffect for the selected user
  */
 import { signal, computed } from '../../framework/src/core/signal.js'
-import { http, useAsync } from '../../framework/src/core/http.js'
+import { http, useAsync, asyncEffect } from '../../framework/src/core/http.js'
 
 const API_BASE = 'https://jsonplaceholder.typicode.com'
 
@@ -18,11 +18,34 @@ export const usersState = useAsync(() => http.get(`${API_BASE}/users`))
 const [selectedUserId, setSelectedUserId] = signal(null)
 
 /**
- * Fetch single user details
- * Returns a new useAsync instance for the given user ID
+ * Details of the selected user, loaded by userDetailsState
  */
-export function fetchUser(userId) {
-  return useAsync(() => http.get(`${API_BASE}/users/${userId}`))
+const [userDetails, setUserDetails] = signal(null)
+
+/**
+ * Bumped to load the selected user again after an error
+ */
+const [retries, setRetries] = signal(0)
+
+/**
+ * Load the selected user whenever the ID changes
+ * Switching users aborts the request for the previous one
+ */
+export const userDetailsState = asyncEffect(async (abortSignal) => {
+  const userId = selectedUserId()
+  retries()
+  setUserDetails(null)
+  if (!userId) return
+
+  const user = await http.get(`${API_BASE}/users/${userId}`, { signal: abortSignal })
+  setUserDetails(user)
+})
+
+/**
+ * Retry loading the selected user
+ */
+export function retryUserDetails() {
+  setRetries(count => count + 1)
 }
 
 /**
@@ -39,5 +62,6 @@ export const selectedUser = computed(() => {
 
 export {
   selectedUserId,
-  setSelectedUserId
+  setSelectedUserId,
+  userDetails
 }
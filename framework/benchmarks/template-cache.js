@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+/**
+ * Benchmark: html`` with and without the template cache
+ * Renders every row of the 10,000-item virtual demo (example/virtual-demo),
+ * which is what scrolling through the whole list does
+ * Usage: npm run bench:template
+ */
+
+import '../src/core/tests/dom-setup.js'
+
+const { html } = await import('../src/core/template.js')
+const { createRoot } = await import('../src/core/signal.js')
+
+const ROUNDS = 5
+
+// Same items as the virtual demo
+const items = Array.from({ length: 10000 }, (_, index) => ({
+  id: index,
+  title: `Item ${index}`,
+  description: `This is the description for item number ${index}`
+}))
+
+/**
+ * html`` with a fresh strings array on every call, so the cache never hits
+ * (how every call behaved before the cache)
+ */
+function uncachedHtml(strings, ...values) {
+  return html(Object.assign([...strings], { raw: strings.raw }), ...values)
+}
+
+/**
+ * The virtual demo's renderItem, using the given tag
+ */
+function renderItem(tag, item, index) {
+  return tag`
+    <div class="item-content">
+      <span class="item-index">#${index}</span>
+      <div class="item-details">
+        <span class="item-title">${item.title}</span>
+        <span class="item-description">${item.description}</span>
+      </div>
+    </div>
+  `
+}
+
+/**
+ * Render all items, each in its own root like the virtual list does
+ * @returns {number} - Elapsed milliseconds
+ */
+function renderAll(tag) {
+  const start = performance.now()
+  for (let i = 0; i < items.length; i++) {
+    createRoot((dispose) => {
+      renderItem(tag, items[i], i)
+      dispose()
+    })
+  }
+  return performance.now() - start
+}
+
+function median(times) {
+  const sorted = [...times].sort((a, b) => a - b)
+  return sorted[Math.floor(sorted.length / 2)]
+}
+
+// Warm up both paths
+renderAll(uncachedHtml)
+renderAll(html)
+
+const uncached = []
+const cached = []
+for (let round = 0; round < ROUNDS; round++) {
+  uncached.push(renderAll(uncachedHtml))
+  cached.push(renderAll(html))
+}
+
+console.log(`\nRendering ${items.length.toLocaleString()} virtual demo rows, median of ${ROUNDS} rounds`)
+console.log(`  parse every call: ${median(uncached).toFixed(1)} ms`)
+console.log(`  template cache:   ${median(cached).toFixed(1)} ms`)
+console.log(`  speedup:          ${(median(uncached) / median(cached)).toFixed(1)}x\n`)
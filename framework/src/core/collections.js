@@ -0,0 +1,320 @@
+import { signal, batch, untrack } from "./signal.js"
+
+/**
+ * Create a trigger: a value-less signal used purely to notify
+ * Reading it subscribes, calling notify() wakes every reader
+ * @returns {{ track: () => void, notify: () => void }}
+ */
+function createTrigger() {
+  const [read, write] = signal(undefined, { equals: false })
+  return {
+    track: () => { read() },
+    notify: () => write(undefined)
+  }
+}
+
+/**
+ * Create lazily allocated per-key triggers
+ * Only keys somebody actually read get a trigger
+ * @returns {{ track: (key: any) => void, notify: (key: any) => void }}
+ */
+function createKeyTriggers() {
+  const triggers = new Map()
+  return {
+    track(key) {
+      let trigger = triggers.get(key)
+      if (!trigger) {
+        trigger = createTrigger()
+        triggers.set(key, trigger)
+      }
+      trigger.track()
+    },
+    notify(key) {
+      const trigger = triggers.get(key)
+      if (trigger) trigger.notify()
+    }
+  }
+}
+
+/**
+ * Map with fine-grained reactivity
+ * - get(key) / has(key) track only that key
+ * - size and keys() track structure (keys added or removed)
+ * - values(), entries(), forEach and iteration also track value changes
+ *
+ * @example
+ * const cards = new ReactiveMap([[id, card]])
+ * effect(() => render(cards.get(id))) // re-runs only when that card changes
+ */
+export class ReactiveMap extends Map {
+  #keys = createKeyTriggers()
+  #structure = createTrigger()
+  #values = createTrigger()
+
+  constructor(entries) {
+    // Map's constructor would call our set() before the triggers exist
+    super()
+    if (entries) {
+      for (const [key, value] of entries) {
+        super.set(key, value)
+      }
+    }
+  }
+
+  get size() {
+    this.#structure.track()
+    return super.size
+  }
+
+  get(key) {
+    this.#keys.track(key)
+    return super.get(key)
+  }
+
+  has(key) {
+    this.#keys.track(key)
+    return super.has(key)
+  }
+
+  set(key, value) {
+    const hadKey = super.has(key)
+    const prev = super.get(key)
+    super.set(key, value)
+
+    if (hadKey && prev === value) return this
+
+    batch(() => {
+      if (!hadKey) this.#structure.notify()
+      this.#keys.notify(key)
+      this.#values.notify()
+    })
+    return this
+  }
+
+  delete(key) {
+    if (!super.delete(key)) return false
+
+    batch(() => {
+      this.#structure.notify()
+      this.#keys.notify(key)
+      this.#values.notify()
+    })
+    return true
+  }
+
+  clear() {
+    if (super.size === 0) return
+
+    const keys = Array.from(super.keys())
+    super.clear()
+
+    batch(() => {
+      this.#structure.notify()
+      this.#values.notify()
+      keys.forEach(key => this.#keys.notify(key))
+    })
+  }
+
+  keys() {
+    this.#structure.track()
+    return super.keys()
+  }
+
+  values() {
+    this.#values.track()
+    return super.values()
+  }
+
+  entries() {
+    this.#values.track()
+    return super.entries()
+  }
+
+  forEach(callback, thisArg) {
+    this.#values.track()
+    super.forEach((value, key) => callback.call(thisArg, value, key, this))
+  }
+
+  [Symbol.iterator]() {
+    return this.entries()
+  }
+}
+
+/**
+ * Set with fine-grained reactivity
+ * - has(value) tracks only that value
+ * - size and iteration track structure (values added or removed)
+ */
+export class ReactiveSet extends Set {
+  #keys = createKeyTriggers()
+  #structure = createTrigger()
+
+  constructor(values) {
+    // Set's constructor would call our add() before the triggers exist
+    super()
+    if (values) {
+      for (const value of values) {
+        super.add(value)
+      }
+    }
+  }
+
+  get size() {
+    this.#structure.track()
+    return super.size
+  }
+
+  has(value) {
+    this.#keys.track(value)
+    return super.has(value)
+  }
+
+  add(value) {
+    if (super.has(value)) return this
+    super.add(value)
+
+    batch(() => {
+      this.#structure.notify()
+      this.#keys.notify(value)
+    })
+    return this
+  }
+
+  delete(value) {
+    if (!super.delete(value)) return false
+
+    batch(() => {
+      this.#structure.notify()
+      this.#keys.notify(value)
+    })
+    return true
+  }
+
+  clear() {
+    if (super.size === 0) return
+
+    const values = Array.from(super.values())
+    super.clear()
+
+    batch(() => {
+      this.#structure.notify()
+      values.forEach(value => this.#keys.notify(value))
+    })
+  }
+
+  keys() {
+    return this.values()
+  }
+
+  values() {
+    this.#structure.track()
+    return super.values()
+  }
+
+  entries() {
+    this.#structure.track()
+    return super.entries()
+  }
+
+  forEach(callback, thisArg) {
+    this.#structure.track()
+    super.forEach((value) => callback.call(thisArg, value, value, this))
+  }
+
+  [Symbol.iterator]() {
+    return this.values()
+  }
+}
+
+/**
+ * Array methods that mutate in place
+ * Called through the proxy, they run batched and untracked
+ */
+const ARRAY_MUTATORS = ["push", "pop", "shift", "unshift", "splice", "sort", "reverse", "fill", "copyWithin"]
+
+/**
+ * Create an array with per-index reactivity
+ * Reading arr[i] tracks index i, arr.length tracks length;
+ * writes and mutating methods notify only the indices they change
+ * Items are stored as-is (not made deeply reactive)
+ * @param {Array} [items] - Initial items
+ * @returns {Array} - Reactive array proxy
+ *
+ * @example
+ * const todos = createReactiveArray([])
+ * effect(() => console.log(todos.length))
+ * todos.push(todo) // logs the new length once
+ */
+export function createReactiveArray(items = []) {
+  const target = Array.from(items)
+  const indexTriggers = createKeyTriggers()
+  const lengthTrigger = createTrigger()
+
+  /**
+   * Write one index (or length) and notify the affected readers
+   */
+  function write(property, value, deleting = false) {
+    const prevLength = target.length
+    const prev = target[property]
+
+    if (deleting) {
+      delete target[property]
+    } else {
+      target[property] = value
+    }
+
+    batch(() => {
+      if (property !== "length" && (prev !== value || deleting)) {
+        indexTriggers.notify(property)
+      }
+      if (target.length !== prevLength) {
+        // Indices cut off by a shorter length now read undefined
+        for (let i = target.length; i < prevLength; i++) {
+          indexTriggers.notify(String(i))
+        }
+        lengthTrigger.notify()
+      }
+    })
+  }
+
+  const proxy = new Proxy(target, {
+    get(target, property, receiver) {
+      if (typeof property === "symbol") return target[property]
+
+      if (ARRAY_MUTATORS.includes(property)) {
+        return (...args) => batch(() => untrack(() => target[property].apply(receiver, args)))
+      }
+
+      if (property === "length") {
+        lengthTrigger.track()
+      } else if (Object.prototype.hasOwnProperty.call(target, property) || /^\d+$/.test(property)) {
+        indexTriggers.track(property)
+      }
+      return target[property]
+    },
+
+    has(target, property) {
+      if (typeof property !== "symbol") {
+        indexTriggers.track(property)
+      }
+      return property in target
+    },
+
+    ownKeys(target) {
+      lengthTrigger.track()
+      return Reflect.ownKeys(target)
+    },
+
+    set(target, property, value) {
+      write(property, value)
+      return true
+    },
+
+    deleteProperty(target, property) {
+      write(property, undefined, true)
+      return true
+    }
+  })
+
+  return proxy
+}
@@ -1,3 +1,5 @@
+import { disposeNode } from "./template.js"
+
 /**
  * mount(element, container)
  *
@@ -5,10 +7,16 @@
  * @param {HTMLElement} container - target container element
  *
  * Behavior:
- *  1. clear container
+ *  1. clear container, disposing the bindings of what was there
  *  2. append element to the container
  */
 export function mount(element, container) {
+  for (const child of container.childNodes) {
+    // Mounting the same element again keeps it alive
+    if (child !== element) {
+      disposeNode(child)
+    }
+  }
   container.replaceChildren()
   container.appendChild(element)
 }
@@ -19,8 +27,12 @@ export function mount(element, container) {
  * @param {HTMLElement} container - target container element
  *
  * Behavior:
+ *  - stops the effects of every html`` result inside the container
  *  - clears the container
  */
 export function unmount(container) {
+  for (const child of container.childNodes) {
+    disposeNode(child)
+  }
   container.replaceChildren()
 }
@@ -67,6 +67,76 @@ export function bindNumber([get, set]) {
   }
 }
 
+/**
+ * Focus a [getter, setter] pair on one field of an object signal
+ * The setter writes back immutably: every object on the path is copied,
+ * everything else is shared. Accepts a value or an updater, like a signal setter
+ * @param {[() => Object, (v: any) => void]} signalPair - [getter, setter] of the parent
+ * @param {string|Array<string|number>|((parent: Object) => any)} path - "a.b.c", ["a", 0], or a view function
+ * @param {(parent: Object, value: any) => Object} [update] - With a view function: returns the new parent
+ * @returns {[() => any, (v: any) => void]} - [getter, setter] for the field
+ *
+ * @example
+ * const currency = lens([settings, setSettings], "currency")
+ * html`<select ...${bindSelect(currency)}>...</select>`
+ *
+ * @example
+ * const first = lens([todos, setTodos], list => list[0], (list, todo) => [todo, ...list.slice(1)])
+ */
+export function lens([get, set], path, update) {
+  let view = path
+  if (typeof path !== "function") {
+    const keys = Array.isArray(path) ? path : String(path).split(".")
+    view = (parent) => getIn(parent, keys)
+    update = (parent, value) => setIn(parent, keys, value)
+  } else if (typeof update !== "function") {
+    throw new Error("lens() with a view function also needs an update function")
+  }
+
+  const read = () => view(get())
+
+  function write(value) {
+    set(parent => {
+      const current = view(parent)
+      const next = typeof value === "function" ? value(current) : value
+      // Unchanged field: keep the parent, so nothing is notified
+      return Object.is(current, next) ? parent : update(parent, next)
+    })
+  }
+
+  return [read, write]
+}
+
+/**
+ * Read the value at a key path, or undefined if part of it is missing
+ * @param {any} target
+ * @param {Array<string|number>} keys
+ * @returns {any}
+ */
+function getIn(target, keys) {
+  for (const key of keys) {
+    if (target == null) return undefined
+    target = target[key]
+  }
+  return target
+}
+
+/**
+ * Copy target with the value at a key path replaced
+ * Missing objects on the path are created
+ * @param {any} target
+ * @param {Array<string|number>} keys
+ * @param {any} value
+ * @returns {any}
+ */
+function setIn(target, keys, value) {
+  if (keys.length === 0) return value
+  const [key, ...rest] = keys
+  const copy = Array.isArray(target) ? [...target] : { ...target }
+  copy[key] = setIn(target?.[key], rest, value)
+  return copy
+}
+
 /**
  * Form submission handler that prevents default and extracts FormData
  * @param {(data: FormData) => void} callback - Function to call with form data
@@ -0,0 +1,224 @@
+import { signal, effect, computed, batch, untrack } from "./signal.js"
+import { unwrap } from "./store.js"
+
+/**
+ * Plain objects and arrays, the values a store tracks property by property
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isPlain(value) {
+  if (value === null || typeof value !== "object") return false
+  if (Array.isArray(value)) return true
+  const proto = Object.getPrototypeOf(value)
+  return proto === Object.prototype || proto === null
+}
+
+/**
+ * Deep copy of plain objects and arrays; other values are kept as they are
+ * Reading a store proxy this way tracks every property of it
+ * @param {any} value
+ * @returns {any}
+ */
+function snapshot(value) {
+  if (!isPlain(value)) return value
+  if (Array.isArray(value)) return value.map(snapshot)
+
+  const copy = {}
+  for (const key of Object.keys(value)) {
+    copy[key] = snapshot(value[key])
+  }
+  return copy
+}
+
+/**
+ * Whether two snapshots hold the same data
+ * @param {any} a
+ * @param {any} b
+ * @returns {boolean}
+ */
+function sameSnapshot(a, b) {
+  if (Object.is(a, b)) return true
+  if (!isPlain(a) || !isPlain(b) || Array.isArray(a) !== Array.isArray(b)) return false
+
+  const keys = Object.keys(a)
+  if (keys.length !== Object.keys(b).length) return false
+  return keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && sameSnapshot(a[key], b[key]))
+}
+
+/**
+ * Write a snapshot into a store, touching only the properties that differ
+ * Keys the snapshot lacks are deleted (the store deletes undefined values)
+ * @param {(...pathAndValue: any[]) => void} setState - Store setter
+ * @param {Object|Array} raw - Raw store data at path
+ * @param {Object|Array} value - Snapshot to write there
+ * @param {Array} [path] - Keys from the root
+ */
+function reconcileStore(setState, raw, value, path = []) {
+  if (Array.isArray(raw) && raw.length !== value.length) {
+    setState(...path, "length", value.length)
+  }
+  for (const key of Object.keys(raw)) {
+    if (!Object.prototype.hasOwnProperty.call(value, key)) {
+      setState(...path, key, undefined)
+    }
+  }
+
+  for (const key of Object.keys(value)) {
+    const next = value[key]
+    const prev = raw[key]
+    if (isPlain(prev) && isPlain(next) && Array.isArray(prev) === Array.isArray(next)) {
+      reconcileStore(setState, prev, next, [...path, key])
+    } else if (!Object.is(prev, next)) {
+      // The store merges an object into an object (or array) it replaces
+      if (isPlain(prev)) {
+        setState(...path, key, undefined)
+      }
+      // An updater, so a function value is stored rather than called; the
+      // copy keeps later store writes out of the history entry
+      const copy = snapshot(next)
+      setState(...path, key, () => copy)
+    }
+  }
+}
+
+/**
+ * Record undo/redo history for a signal or store
+ * Every value the signal takes becomes a history entry; writes made inside
+ * group(fn), or within groupWindow ms of each other, share one entry
+ * Works with any [getter, setter] pair, including persisted signals. For a
+ * [state, setState] store pair every change anywhere in the store is
+ * recorded as a deep copy, and undo writes back only what differs
+ * @param {[() => any, (value: any) => void]|[Object, Function]} source - Signal or store to record
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Most undo steps kept (default: 100)
+ * @param {number} [options.groupWindow] - Merge writes closer together than this (ms)
+ * @returns {Object} - { undo, redo, canUndo, canRedo, clear, group, dispose }
+ *
+ * @example
+ * const history = createHistory([expenses, setExpenses], { limit: 50 })
+ * deleteExpense(id)
+ * history.undo() // expense is back
+ */
+export function createHistory([get, set], options = {}) {
+  const { limit = 100, groupWindow = 0 } = options
+
+  // A store proxy stays the same object, so it is recorded as snapshots
+  const store = typeof get === "function" ? null : get
+  if (store && unwrap(store) === store) {
+    throw new Error("createHistory expects a [getter, setter] signal or a [state, setState] store")
+  }
+  const read = store ? () => snapshot(store) : get
+  const same = store ? sameSnapshot : Object.is
+
+  // Values before the current one (oldest first) and undone values (next first)
+  const [past, setPast] = signal([])
+  const [future, setFuture] = signal([])
+
+  let current = untrack(read)
+  let lastRecorded = 0
+
+  /**
+   * Push the value being replaced, unless it merges into the previous entry
+   */
+  function record(value) {
+    if (same(value, current)) return
+
+    const previous = current
+    current = value
+
+    const now = Date.now()
+    const merge = groupWindow > 0 && now - lastRecorded < groupWindow && past.peek().length > 0
+    lastRecorded = now
+
+    batch(() => {
+      if (!merge) {
+        setPast(entries => [...entries, previous].slice(-limit))
+      }
+      setFuture([])
+    })
+  }
+
+  const dispose = effect(() => {
+    const value = read()
+    untrack(() => record(value))
+  })
+
+  /**
+   * Restore a value without recording it as a new change
+   */
+  function restore(value) {
+    current = value
+    // The next write starts a new entry, whatever the group window
+    lastRecorded = 0
+    if (store) {
+      batch(() => reconcileStore(set, unwrap(store), value))
+    } else {
+      set(value)
+    }
+  }
+
+  /**
+   * Go back one entry
+   */
+  function undo() {
+    // Writes not yet seen by the effect (microtask mode) count as a change first
+    record(untrack(read))
+
+    const entries = past.peek()
+    if (entries.length === 0) return
+
+    const previous = entries[entries.length - 1]
+    batch(() => {
+      setPast(entries.slice(0, -1))
+      setFuture(next => [current, ...next])
+      restore(previous)
+    })
+  }
+
+  /**
+   * Go forward one undone entry
+   */
+  function redo() {
+    record(untrack(read))
+
+    const entries = future.peek()
+    if (entries.length === 0) return
+
+    const [next, ...rest] = entries
+    batch(() => {
+      setPast(previous => [...previous, current].slice(-limit))
+      setFuture(rest)
+      restore(next)
+    })
+  }
+
+  /**
+   * Forget all entries, keeping the current value
+   */
+  function clear() {
+    batch(() => {
+      setPast([])
+      setFuture([])
+    })
+  }
+
+  /**
+   * Run several writes as one history entry
+   * @param {() => any} fn - Function performing the writes
+   * @returns {any} - Whatever fn returns
+   */
+  function group(fn) {
+    // Effects run once after the batch, so the history sees only the final value
+    return batch(fn)
+  }
+
+  return {
+    undo,
+    redo,
+    canUndo: computed(() => past().length > 0),
+    canRedo: computed(() => future().length > 0),
+    clear,
+    group,
+    dispose
+  }
+}
@@ -1,4 +1,4 @@
-import { signal } from './signal.js'
+import { signal, effect, disposeWithOwner } from './signal.js'
 
 /**
  * HTTP Error class for non-2xx responses
@@ -168,6 +168,70 @@ export function useAsync(asyncFn) {
   }
 }
 
+/**
+ * Effect for async work that cancels stale runs
+ * Signals read before the first await are tracked. When one changes, the
+ * previous run's AbortSignal is aborted and fn runs again; results and errors
+ * of aborted runs are ignored
+ * @param {(signal: AbortSignal) => Promise<any>} fn - Async function to run (receives AbortSignal)
+ * @returns {Object} - { pending, error, dispose } for the current run; the
+ *   effect is also disposed with the current effect or root
+ *
+ * @example
+ * const load = asyncEffect(async (abortSignal) => {
+ *   const id = selectedUserId()
+ *   setUser(await http.get(`/users/${id}`, { signal: abortSignal }))
+ * })
+ */
+export function asyncEffect(fn) {
+  const [pending, setPending] = signal(false)
+  const [error, setError] = signal(null)
+
+  const stop = effect(() => {
+    const controller = new AbortController()
+    setPending(true)
+    setError(null)
+
+    let promise
+    try {
+      // Runs synchronously up to the first await, so those reads are tracked
+      promise = fn(controller.signal)
+    } catch (err) {
+      promise = Promise.reject(err)
+    }
+
+    Promise.resolve(promise).then(
+      () => {
+        if (!controller.signal.aborted) {
+          setPending(false)
+        }
+      },
+      (err) => {
+        // A stale run's errors (AbortError included) are expected
+        if (controller.signal.aborted) return
+        setError(err)
+        setPending(false)
+      }
+    )
+
+    // Runs before the next run and on dispose
+    return () => controller.abort()
+  })
+
+  // The aborted run never settles, so nothing else turns pending off
+  const dispose = () => {
+    stop()
+    setPending(false)
+  }
+  disposeWithOwner(dispose)
+
+  return {
+    pending,
+    error,
+    dispose
+  }
+}
+
 /**
  * HTTP client object with all methods
  */
@@ -0,0 +1,211 @@
+import { signal, effect, untrack, createRoot, disposeWithOwner } from "./signal.js"
+
+/**
+ * Key RxJS and other libraries use to find an observable's interop method
+ */
+const $$observable = (typeof Symbol === "function" && Symbol.observable) || "@@observable"
+
+/**
+ * Turn an Observable or async iterable into a signal getter
+ * The getter holds the latest emitted value; the subscription ends when the
+ * current effect or root is disposed, or via getter.dispose()
+ * @param {Object|AsyncIterable} source - Anything with subscribe(), or an async iterable
+ * @param {any} [initialValue] - Value until the source emits
+ * @returns {() => any} - Getter function (with dispose)
+ *
+ * @example
+ * const position = from(mouseMoves$, { x: 0, y: 0 })
+ * effect(() => console.log(position().x))
+ */
+export function from(source, initialValue) {
+  const [read, write] = signal(initialValue)
+  // Wrap in an updater so emitted functions are stored, not called
+  const next = (value) => write(() => value)
+  let dispose
+
+  // Signals the source reads while subscribing must not become dependencies
+  // of the calling effect, or its re-runs would resubscribe
+  if (source && typeof source[$$observable] === "function") {
+    source = untrack(() => source[$$observable]())
+  }
+
+  if (source && typeof source.subscribe === "function") {
+    const subscription = untrack(() => source.subscribe({
+      next,
+      error: (error) => console.error("Observable passed to from() errored:", error)
+    }))
+    // RxJS returns { unsubscribe }, some libraries return a function
+    dispose = () => {
+      if (typeof subscription === "function") {
+        subscription()
+      } else if (subscription && typeof subscription.unsubscribe === "function") {
+        subscription.unsubscribe()
+      }
+    }
+  } else if (source && typeof source[Symbol.asyncIterator] === "function") {
+    const iterator = untrack(() => source[Symbol.asyncIterator]())
+    let stopped = false
+
+    ;(async () => {
+      try {
+        while (!stopped) {
+          const result = await iterator.next()
+          if (result.done || stopped) break
+          next(result.value)
+        }
+      } catch (error) {
+        console.error("Async iterable passed to from() errored:", error)
+      }
+    })()
+
+    dispose = () => {
+      if (stopped) return
+      stopped = true
+      if (typeof iterator.return === "function") {
+        iterator.return()
+      }
+    }
+  } else {
+    throw new Error("from() expects an Observable (with subscribe) or an async iterable")
+  }
+
+  read.dispose = dispose
+  disposeWithOwner(dispose)
+
+  return read
+}
+
+/**
+ * Follow a getter from outside the reactive system
+ * The effect runs in its own root, so it lives until stop() is called
+ * @param {() => any} getter - Signal or computed getter
+ * @param {(value: any) => void} callback - Called with the current value, then on every change
+ * @returns {() => void} - stop function
+ */
+function follow(getter, callback) {
+  return createRoot((dispose) => {
+    effect(() => {
+      const value = getter()
+      untrack(() => callback(value))
+    })
+    return dispose
+  })
+}
+
+/**
+ * Turn a signal getter into an Observable
+ * Subscribers get the current value right away, then every change
+ * Works with RxJS from() through Symbol.observable
+ * @param {() => any} getter - Signal or computed getter
+ * @returns {Object} - Observable with subscribe(observerOrNext) => { unsubscribe }
+ *
+ * @example
+ * rxFrom(toObservable(searchQuery)).pipe(debounceTime(300)).subscribe(search)
+ */
+export function toObservable(getter) {
+  const observable = {
+    subscribe(observer) {
+      const next = typeof observer === "function" ? observer : (value) => observer?.next?.(value)
+      const unsubscribe = follow(getter, next)
+      // Subscribed inside an effect: end with it
+      disposeWithOwner(unsubscribe)
+      return { unsubscribe }
+    },
+    [$$observable]() {
+      return observable
+    }
+  }
+  return observable
+}
+
+/**
+ * Turn a signal getter into an async iterator
+ * Yields the current value first, then changes; values written faster than
+ * the consumer reads are coalesced to the latest one
+ * @param {() => any} getter - Signal or computed getter
+ * @returns {AsyncIterableIterator<any>}
+ *
+ * @example
+ * for await (const query of toAsyncIterator(searchQuery)) {
+ *   await search(query)
+ * }
+ */
+export function toAsyncIterator(getter) {
+  let pending = null
+  let waiting = null
+  let done = false
+
+  const stop = follow(getter, (value) => {
+    if (waiting) {
+      waiting({ value, done: false })
+      waiting = null
+    } else {
+      pending = { value }
+    }
+  })
+
+  const iterator = {
+    next() {
+      if (pending) {
+        const { value } = pending
+        pending = null
+        return Promise.resolve({ value, done: false })
+      }
+      if (done) {
+        return Promise.resolve({ value: undefined, done: true })
+      }
+      return new Promise(resolve => { waiting = resolve })
+    },
+
+    return() {
+      if (!done) {
+        done = true
+        pending = null
+        stop()
+        if (waiting) {
+          waiting({ value: undefined, done: true })
+          waiting = null
+        }
+      }
+      return Promise.resolve({ value: undefined, done: true })
+    },
+
+    [Symbol.asyncIterator]() {
+      return iterator
+    }
+  }
+
+  // Created inside an effect: stop with it (for await loops also call return())
+  disposeWithOwner(() => { iterator.return() })
+
+  return iterator
+}
+
+/**
+ * Turn DOM (or any EventTarget) events into a signal getter
+ * The listener is removed when the current effect or root is disposed,
+ * or via getter.dispose()
+ * @param {EventTarget} target - Element, window, document, ...
+ * @param {string} type - Event type
+ * @param {(event: Event) => any} [map] - Value to store for each event (default: the event)
+ * @returns {() => any} - Getter function (undefined until the first event)
+ *
+ * @example
+ * const width = fromEvent(window, 'resize', () => window.innerWidth)
+ */
+export function fromEvent(target, type, map = (event) => event) {
+  const [read, write] = signal(undefined)
+
+  function listener(event) {
+    const value = map(event)
+    write(() => value)
+  }
+
+  target.addEventListener(type, listener)
+
+  const dispose = () => target.removeEventListener(type, listener)
+  read.dispose = dispose
+  disposeWithOwner(dispose)
+
+  return read
+}
@@ -1,4 +1,5 @@
-import { effect } from "./signal.js";
+import { effect, createRoot, disposeWithOwner } from "./signal.js";
+import { onNodeDispose } from "./template.js";
 
 /**
  * Efficient keyed list rendering with DOM reconciliation
@@ -13,9 +14,27 @@ export function list(signalOrArray, keyFn, renderFn) {
   const startMarker = document.createComment("list-start");
   const endMarker = document.createComment("list-end");
 
-  // Map to track: key -> { node, item }
+  // Map to track: key -> { node, item, dispose }
   let keyToNode = new Map();
 
+  /**
+   * Render one item inside its own root
+   * Reused rows outlive the list effect run that created them,
+   * so their effects live in a root disposed when the row is removed
+   */
+  function renderEntry(item, index) {
+    return createRoot((dispose) => ({ node: renderFn(item, index), item, dispose }));
+  }
+
+  /**
+   * Dispose every rendered item's effects
+   */
+  function disposeItems() {
+    for (const entry of keyToNode.values()) {
+      entry.dispose();
+    }
+  }
+
   // Track if we've done initial render (to skip first effect run)
   let isFirstRun = true;
 
@@ -34,6 +53,7 @@ export function list(signalOrArray, keyFn, renderFn) {
     for (const [key, entry] of keyToNode) {
       if (!newKeySet.has(key)) {
         entry.node.remove();
+        entry.dispose();
         keyToNode.delete(key);
       }
     }
@@ -52,8 +72,7 @@ export function list(signalOrArray, keyFn, renderFn) {
         newKeyToNode.set(key, entry);
       } else {
         // Create new node
-        const node = renderFn(item, i);
-        newKeyToNode.set(key, { node, item });
+        newKeyToNode.set(key, renderEntry(item, i));
       }
     }
 
@@ -88,14 +107,17 @@ export function list(signalOrArray, keyFn, renderFn) {
 
     items.forEach((item, index) => {
       const key = keyFn(item);
-      const node = renderFn(item, index);
-      keyToNode.set(key, { node, item });
-      fragment.appendChild(node);
+      const entry = renderEntry(item, index);
+      keyToNode.set(key, entry);
+      fragment.appendChild(entry.node);
     });
 
     return fragment;
   }
 
+  // Item roots are detached, so dispose them along with whatever owns the list
+  disposeWithOwner(disposeItems);
+
   // Build the result fragment
   const result = document.createDocumentFragment();
   result.appendChild(startMarker);
@@ -125,7 +147,10 @@ export function list(signalOrArray, keyFn, renderFn) {
     });
 
     // Attach dispose method to result fragment for cleanup
-    result.dispose = dispose;
+    result.dispose = () => {
+      dispose();
+      disposeItems();
+    };
   } else {
     // Static array: just render once
     const items = Array.isArray(signalOrArray) ? signalOrArray : [];
@@ -134,6 +159,9 @@ export function list(signalOrArray, keyFn, renderFn) {
     result.appendChild(endMarker);
   }
 
+  // Unmounting the list's DOM tears it down, even when nothing owns it
+  onNodeDispose(startMarker, result.dispose || disposeItems);
+
   return result;
 }
 
@@ -0,0 +1,558 @@
+import { signal, disposeWithOwner } from "./signal.js"
+
+/**
+ * Serializers turn values into stored strings and back
+ * Anything with stringify/parse works, including JSON itself
+ */
+export const jsonSerializer = {
+  stringify: (value) => JSON.stringify(value),
+  parse: (text) => JSON.parse(text)
+}
+
+/**
+ * JSON that keeps Dates, Maps and Sets
+ * They are stored as { $type, value } and revived on parse
+ */
+export const richJsonSerializer = {
+  stringify(value) {
+    return JSON.stringify(value, function (key, item) {
+      // `item` has already been through toJSON, the raw value is on the holder
+      const raw = this[key]
+      if (raw instanceof Date) return { $type: "Date", value: raw.toISOString() }
+      if (raw instanceof Map) return { $type: "Map", value: Array.from(raw) }
+      if (raw instanceof Set) return { $type: "Set", value: Array.from(raw) }
+      return item
+    })
+  },
+
+  parse(text) {
+    return JSON.parse(text, (key, item) => {
+      if (item === null || typeof item !== "object" || !("value" in item)) return item
+      if (item.$type === "Date") return new Date(item.value)
+      if (item.$type === "Map") return new Map(item.value)
+      if (item.$type === "Set") return new Set(item.value)
+      return item
+    })
+  }
+}
+
+/**
+ * Wrap a Web Storage area (localStorage / sessionStorage) as an adapter
+ * Handles cases where storage is disabled, in private browsing, or unavailable
+ * @param {"localStorage"|"sessionStorage"} name
+ * @returns {Object} - Storage adapter
+ */
+function createWebStorageAdapter(name) {
+  let storage = null
+  try {
+    const testKey = "__dot_js_storage_test__"
+    window[name].setItem(testKey, testKey)
+    window[name].removeItem(testKey)
+    storage = window[name]
+  } catch (e) {
+    storage = null
+  }
+
+  return {
+    // Lets cross-tab sync match `storage` events to this area
+    storageArea: storage,
+    getItem: (key) => storage ? storage.getItem(key) : null,
+    setItem: (key, value) => {
+      if (storage) storage.setItem(key, value)
+    },
+    removeItem: (key) => {
+      if (storage) storage.removeItem(key)
+    }
+  }
+}
+
+/**
+ * Adapter for window.localStorage (the default)
+ * @returns {Object} - Storage adapter
+ */
+export function localStorageAdapter() {
+  return createWebStorageAdapter("localStorage")
+}
+
+/**
+ * Adapter for window.sessionStorage, cleared when the tab closes
+ * @returns {Object} - Storage adapter
+ */
+export function sessionStorageAdapter() {
+  return createWebStorageAdapter("sessionStorage")
+}
+
+/**
+ * In-memory adapter, useful in tests and outside the browser
+ * @param {Object} [initial] - Stored strings by key
+ * @returns {Object} - Storage adapter (with the backing Map as `data`)
+ */
+export function memoryAdapter(initial = {}) {
+  const data = new Map(Object.entries(initial))
+  return {
+    data,
+    getItem: (key) => data.has(key) ? data.get(key) : null,
+    setItem: (key, value) => {
+      data.set(key, value)
+    },
+    removeItem: (key) => {
+      data.delete(key)
+    }
+  }
+}
+
+/**
+ * Async adapter backed by IndexedDB, for data too large for localStorage
+ * Use one storeName per dbName; the store is created on first open
+ * @param {Object} [options]
+ * @param {string} [options.dbName] - Database name (default: "dot-js")
+ * @param {string} [options.storeName] - Object store name (default: "signals")
+ * @returns {Object} - Async storage adapter
+ */
+export function indexedDBAdapter(options = {}) {
+  const { dbName = "dot-js", storeName = "signals" } = options
+  let opening = null
+
+  /**
+   * Open the database once and share the connection
+   */
+  function openDatabase() {
+    if (!opening) {
+      opening = new Promise((resolve, reject) => {
+        const request = indexedDB.open(dbName, 1)
+        request.onupgradeneeded = () => request.result.createObjectStore(storeName)
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => reject(request.error)
+      })
+    }
+    return opening
+  }
+
+  /**
+   * Run one request in its own transaction
+   * Resolves with the request result once the transaction commits
+   */
+  async function run(mode, operation) {
+    const db = await openDatabase()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode)
+      const request = operation(transaction.objectStore(storeName))
+      transaction.oncomplete = () => resolve(request.result)
+      transaction.onerror = () => reject(transaction.error)
+      transaction.onabort = () => reject(transaction.error)
+    })
+  }
+
+  return {
+    async: true,
+    getItem: async (key) => {
+      const value = await run("readonly", store => store.get(key))
+      return value === undefined ? null : value
+    },
+    setItem: (key, value) => run("readwrite", store => store.put(value, key)),
+    removeItem: (key) => run("readwrite", store => store.delete(key))
+  }
+}
+
+/**
+ * Normalize the sync option to "storage", "broadcast" or null
+ * `true` picks storage events when the adapter has a storage area
+ * @param {boolean|string} [sync]
+ * @param {Object} storage - Storage adapter
+ * @returns {"storage"|"broadcast"|null}
+ */
+function resolveSyncMode(sync, storage) {
+  if (!sync) return null
+  if (sync !== true && sync !== "storage" && sync !== "broadcast") {
+    throw new Error(`Unknown sync mode "${sync}", expected true, "storage" or "broadcast"`)
+  }
+
+  if (sync !== "broadcast" && storage.storageArea) return "storage"
+  if (typeof BroadcastChannel === "function") return "broadcast"
+  if (storage.storageArea) {
+    console.warn("BroadcastChannel is not available, falling back to storage events")
+    return "storage"
+  }
+  console.warn("Cross-tab sync is not available for this storage adapter")
+  return null
+}
+
+/**
+ * Check whether parsed data is a versioned envelope
+ * { $version, $expires, value } is written when version or ttl is set
+ * @param {any} data
+ * @returns {boolean}
+ */
+function isEnvelope(data) {
+  return data !== null && typeof data === "object" && !Array.isArray(data) && "$version" in data
+}
+
+/**
+ * Create a reactive signal that persists to storage (localStorage by default)
+ * @param {string} key - The storage key to use for persistence
+ * @param {any} defaultValue - Default value if no stored value exists
+ * @param {Object} [options]
+ * @param {Object} [options.storage] - Storage adapter: { getItem, setItem, removeItem },
+ *   with `async: true` when they return promises
+ * @param {{ stringify: (value: any) => string, parse: (text: string) => any }} [options.serializer] -
+ *   How values are stored (default: JSON)
+ * @param {number} [options.version] - Schema version of the stored value
+ * @param {Object<number, (value: any) => any>} [options.migrations] - Upgrade functions
+ *   keyed by the version they produce, run in order from the stored version
+ * @param {(value: any) => boolean} [options.validate] - Reject stored data (use the default instead)
+ * @param {number} [options.ttl] - Milliseconds a saved value stays valid
+ * @param {number} [options.debounce] - Save only after writes pause for this many ms
+ * @param {number} [options.maxWait] - With debounce, save at least this often (ms)
+ * @param {boolean|"storage"|"broadcast"} [options.sync] - Pick up writes made
+ *   by other tabs, through `storage` events or a BroadcastChannel
+ * @param {"last-write-wins"|((local: any, remote: any) => any)} [options.conflict] -
+ *   How a value from another tab is applied; a function merges it with the local value
+ * @returns {[() => any, (newValue: any) => void]} - [getter, setter];
+ *   getter.hydrated() turns true once stored data has loaded,
+ *   getter.flush() saves a pending debounced write now
+ */
+export function createPersistedSignal(key, defaultValue, options = {}) {
+  const storage = options.storage || localStorageAdapter()
+  const serializer = options.serializer || jsonSerializer
+  const syncMode = resolveSyncMode(options.sync, storage)
+  const merge = typeof options.conflict === "function" ? options.conflict : null
+  const version = options.version || 0
+  const migrations = options.migrations || {}
+  const { validate, ttl, debounce, maxWait } = options
+  const throttled = debounce !== undefined || maxWait !== undefined
+  // Plain values stay readable by older code; the envelope is opt-in
+  const useEnvelope = options.version !== undefined || ttl !== undefined
+
+  if (options.conflict !== undefined && !merge && options.conflict !== "last-write-wins") {
+    throw new Error(`Unknown conflict strategy "${options.conflict}", expected "last-write-wins" or a function`)
+  }
+
+  /**
+   * Remove the stored value (expired data)
+   */
+  function removeFromStorage() {
+    const warn = (e) => console.warn(`Failed to remove persisted signal "${key}":`, e)
+    try {
+      const result = storage.removeItem(key)
+      if (storage.async) Promise.resolve(result).catch(warn)
+    } catch (e) {
+      warn(e)
+    }
+  }
+
+  /**
+   * Turn stored data back into a value: unwrap, expire, migrate, validate
+   * Throws when the data can't be used
+   * @returns {{ value: any, expired?: boolean, migrated?: boolean }}
+   */
+  function decode(stored) {
+    const data = serializer.parse(stored)
+    const envelope = isEnvelope(data)
+    // Data saved before versioning was turned on counts as version 0
+    const storedVersion = envelope ? data.$version : 0
+    let value = envelope ? data.value : data
+
+    if (envelope && data.$expires && Date.now() >= data.$expires) {
+      return { value: defaultValue, expired: true }
+    }
+    if (storedVersion > version) {
+      throw new Error(`stored version ${storedVersion} is newer than version ${version}`)
+    }
+
+    for (let next = storedVersion + 1; next <= version; next++) {
+      if (migrations[next]) {
+        value = migrations[next](value)
+      }
+    }
+
+    if (validate && !validate(value)) {
+      throw new Error("stored value failed validation")
+    }
+    return { value, migrated: storedVersion !== version }
+  }
+
+  /**
+   * Decode loaded data, falling back to defaultValue if not found or on error
+   * Expired data is removed, migrated data is saved back in the new shape
+   */
+  function deserialize(stored) {
+    if (stored === null || stored === undefined) {
+      return defaultValue
+    }
+
+    try {
+      const result = decode(stored)
+      if (result.expired) {
+        removeFromStorage()
+      } else if (result.migrated && useEnvelope) {
+        saveToStorage(result.value)
+      }
+      return result.value
+    } catch (e) {
+      // Parse error, failed validation or other issue, use default
+      console.warn(`Failed to load persisted signal "${key}":`, e)
+      return defaultValue
+    }
+  }
+
+  /**
+   * Load initial value from a sync adapter
+   */
+  function loadInitialValue() {
+    try {
+      return deserialize(storage.getItem(key))
+    } catch (e) {
+      console.warn(`Failed to load persisted signal "${key}":`, e)
+      return defaultValue
+    }
+  }
+
+  /**
+   * Turn a value into stored data, wrapped in an envelope when needed
+   */
+  function encode(value) {
+    if (!useEnvelope) {
+      return serializer.stringify(value)
+    }
+    return serializer.stringify({
+      $version: version,
+      $expires: ttl !== undefined ? Date.now() + ttl : null,
+      value
+    })
+  }
+
+  // Async writes are chained so they land in the order they were made
+  let saving = Promise.resolve()
+
+  /**
+   * Save value to storage
+   * Storage errors (quota exceeded etc.) are logged, never thrown
+   */
+  function saveToStorage(value) {
+    const warn = (e) => console.warn(`Failed to persist signal "${key}":`, e)
+
+    try {
+      const data = encode(value)
+      if (storage.async) {
+        saving = saving.then(() => storage.setItem(key, data)).catch(warn)
+      } else {
+        storage.setItem(key, data)
+      }
+    } catch (e) {
+      warn(e)
+    }
+  }
+
+  // Create the underlying signal with loaded value
+  const [read, write] = signal(storage.async ? defaultValue : loadInitialValue(), { name: key })
+  const [hydrated, setHydrated] = signal(!storage.async)
+
+  // Debounced write waiting to be saved
+  let pending = false
+  let pendingValue
+  let debounceTimer = null
+  let maxWaitTimer = null
+
+  /**
+   * Save the pending debounced write now
+   * @returns {Promise<void>|undefined} - Resolves once saved (async storage only)
+   */
+  function flush() {
+    clearTimeout(debounceTimer)
+    clearTimeout(maxWaitTimer)
+    debounceTimer = null
+    maxWaitTimer = null
+
+    if (pending) {
+      pending = false
+      saveToStorage(pendingValue)
+    }
+    return storage.async ? saving : undefined
+  }
+
+  /**
+   * Forget the pending debounced write without saving it
+   */
+  function dropPending() {
+    clearTimeout(debounceTimer)
+    clearTimeout(maxWaitTimer)
+    debounceTimer = null
+    maxWaitTimer = null
+    pending = false
+  }
+
+  /**
+   * Save now, or once writes pause when debounced
+   * maxWait caps how long a stream of writes can keep postponing the save
+   */
+  function schedulePersist(value) {
+    if (!throttled) {
+      saveToStorage(value)
+      return
+    }
+
+    pending = true
+    pendingValue = value
+    clearTimeout(debounceTimer)
+    debounceTimer = setTimeout(flush, debounce || 0)
+    if (maxWait !== undefined && maxWaitTimer === null) {
+      maxWaitTimer = setTimeout(flush, maxWait)
+    }
+  }
+
+  /**
+   * Save before the page goes away; pagehide fires on unload and bfcache,
+   * a hidden tab may be discarded without either
+   */
+  function handleVisibilityChange() {
+    if (document.visibilityState === "hidden") {
+      flush()
+    }
+  }
+
+  // Time of the last local write, to order values arriving over the channel
+  let lastWrite = 0
+  const channel = syncMode === "broadcast" ? new BroadcastChannel(`dot-js:${key}`) : null
+
+  /**
+   * Save a value and tell other tabs about it
+   */
+  function publish(value) {
+    schedulePersist(value)
+    lastWrite = Date.now()
+    if (channel) {
+      channel.postMessage({ value, version, time: lastWrite })
+    }
+  }
+
+  /**
+   * Wrapped setter that also persists to storage
+   * Accepts either a value or an updater function
+   */
+  function persistedWrite(newValue) {
+    // Compute next value without triggering subscription
+    const nextValue = typeof newValue === "function" ? newValue(read.peek()) : newValue
+
+    // Save to storage before updating signal
+    publish(nextValue)
+
+    // Update the underlying signal
+    write(nextValue)
+  }
+
+  /**
+   * Apply a value another tab wrote
+   * The remote value is already saved, so only a merge that changes it is saved back.
+   * A pending debounced save holds an older local value: without a merge it
+   * is dropped, with one it saves the merged value instead
+   */
+  function receive(remote) {
+    if (!merge) {
+      dropPending()
+      write(remote)
+      return
+    }
+
+    const merged = merge(read.peek(), remote)
+    if (serializer.stringify(merged) !== serializer.stringify(remote)) {
+      publish(merged)
+    } else if (pending) {
+      pendingValue = merged
+    }
+    write(merged)
+  }
+
+  /**
+   * storage event: another tab changed (or cleared) this storage area
+   */
+  function handleStorage(event) {
+    if (event.storageArea !== storage.storageArea) return
+
+    // key is null when the other tab called clear()
+    if (event.key === null || (event.key === key && event.newValue === null)) {
+      dropPending()
+      write(defaultValue)
+      return
+    }
+    if (event.key !== key) return
+
+    try {
+      receive(decode(event.newValue).value)
+    } catch (e) {
+      console.warn(`Failed to sync persisted signal "${key}":`, e)
+    }
+  }
+
+  /**
+   * BroadcastChannel message: the value itself, with the time it was written
+   */
+  function handleMessage(event) {
+    const { value, time } = event.data
+    // A tab running another schema version can't hand us its value as-is
+    if (event.data.version !== version) return
+    if (validate && !validate(value)) return
+    // Last write wins: ignore values older than our own latest write
+    if (!merge && time < lastWrite) return
+    receive(value)
+  }
+
+  if (storage.async) {
+    Promise.resolve()
+      .then(() => storage.getItem(key))
+      .then((stored) => {
+        // A write made before loading finished is newer than what was stored
+        if (lastWrite === 0 && stored !== null && stored !== undefined) {
+          write(deserialize(stored))
+        }
+      })
+      .catch((e) => console.warn(`Failed to load persisted signal "${key}":`, e))
+      .finally(() => setHydrated(true))
+  }
+
+  if (syncMode === "storage") {
+    window.addEventListener("storage", handleStorage)
+  }
+  if (channel) {
+    channel.addEventListener("message", handleMessage)
+  }
+  if (throttled && typeof window !== "undefined") {
+    window.addEventListener("pagehide", flush)
+    document.addEventListener("visibilitychange", handleVisibilityChange)
+  }
+
+  /**
+   * Whether stored data has loaded (always true for sync storage)
+   */
+  read.hydrated = hydrated
+
+  /**
+   * Save a pending debounced write now (tests, critical actions)
+   */
+  read.flush = flush
+
+  /**
+   * Save anything pending and stop listening for other tabs and page events
+   */
+  read.dispose = () => {
+    if (throttled) {
+      flush()
+      if (typeof window !== "undefined") {
+        window.removeEventListener("pagehide", flush)
+        document.removeEventListener("visibilitychange", handleVisibilityChange)
+      }
+    }
+    if (syncMode === "storage") {
+      window.removeEventListener("storage", handleStorage)
+    }
+    if (channel) {
+      channel.close()
+    }
+  }
+
+  // Created inside an effect or root: stop syncing along with it
+  if (syncMode || throttled) {
+    disposeWithOwner(read.dispose)
+  }
+
+  return [read, persistedWrite]
+}
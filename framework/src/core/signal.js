@@ -1,48 +1,401 @@
 /**
  * Effect stack for nested effect support
- * Using a stack instead of single variable allows effects to nest properly
+ * Holds the running computation (effect or computed) that reads subscribe to;
+ * untrack() pushes null to suspend tracking
  */
 const effectStack = []
 
+/**
+ * Current owner: the effect or root that new effects and cleanups attach to
+ * Owners form a tree so disposing one tears down everything created under it
+ */
+let currentOwner = null
+
+/**
+ * Computation states for push-pull propagation
+ * Writes push DIRTY to direct observers and CHECK further downstream;
+ * reads pull, re-evaluating only what actually changed
+ */
+const CLEAN = 0
+const CHECK = 1
+const DIRTY = 2
+
+/**
+ * Batch and effect queue state
+ * Writes mark effects and queue them; the queue is flushed once no batch is open
+ */
+let batchDepth = 0
+let flushing = false
+let flushScheduled = false
+const effectQueue = []
+// Next effect to run; shift() would make every flush quadratic in its size
+let queueIndex = 0
+
+/**
+ * Scheduler settings, changed through configureScheduler()
+ * mode: "sync" flushes as soon as the outermost write or batch finishes,
+ *       "microtask" coalesces everything written in the same tick
+ * maxRuns: how often one effect may re-run in a single flush before it is
+ *          treated as an infinite loop
+ */
+const scheduler = {
+  mode: "sync",
+  maxRuns: 100
+}
+
+/**
+ * Signals written during the current flush, reported on runaway loops
+ */
+const flushWrites = new Set()
+
+/**
+ * Handler for errors no catchError()/onError() scope handled, see setErrorHandler()
+ */
+let globalErrorHandler = null
+
+/**
+ * Counter for node ids, used to identify nodes in error messages
+ */
+let nextNodeId = 1
+
+/**
+ * Dev-mode settings, changed through configureDevMode()
+ * graph: keep a registry of live nodes for getGraph()
+ * trace: report every write with the computations it re-ran
+ */
+const devMode = {
+  graph: false,
+  trace: null
+}
+
+/**
+ * Nodes created while dev-mode graph is on; disposed computations are removed
+ */
+const graphNodes = new Set()
+
+/**
+ * Writes and runs collected since the last flush, while tracing
+ */
+let currentTrace = null
+
+/**
+ * @param {Object} node - Signal, computed or effect node
+ * @returns {"signal"|"computed"|"effect"}
+ */
+function nodeKind(node) {
+  return node.fn ? (node.isEffect ? "effect" : "computed") : "signal"
+}
+
+/**
+ * Describe a node for error messages and traces
+ * @param {Object} node - Signal, computed or effect node
+ * @returns {string} - e.g. "signal#3" or "effect#12 (render)"
+ */
+function describeNode(node) {
+  const label = `${nodeKind(node)}#${node.id}`
+  return node.name ? `${label} (${node.name})` : label
+}
+
+/**
+ * Add a node to the dev-mode graph
+ * @param {Object} node
+ */
+function registerNode(node) {
+  if (devMode.graph) {
+    graphNodes.add(node)
+  }
+}
+
+/**
+ * Record a write in the current trace
+ * @param {Object} node - Node whose value changed
+ */
+function traceWrite(node) {
+  if (!currentTrace) {
+    currentTrace = { writes: [], runs: [], changed: new Set() }
+  }
+  currentTrace.writes.push({ node: describeNode(node), value: node.value })
+  currentTrace.changed.add(node)
+}
+
+/**
+ * Record a computation run in the current trace, with the changed sources that caused it
+ * Called before the run clears the node's sources
+ * @param {Object} node - Effect or computed about to run
+ */
+function traceRun(node) {
+  const causes = []
+  for (const source of node.sources) {
+    if (currentTrace.changed.has(source)) {
+      causes.push(describeNode(source))
+    }
+  }
+  currentTrace.runs.push({ node: describeNode(node), causes })
+}
+
+/**
+ * Hand the finished trace to the trace callback, or log it
+ */
+function emitTrace() {
+  const { writes, runs } = currentTrace
+  currentTrace = null
+
+  if (typeof devMode.trace === "function") {
+    devMode.trace({ writes, runs })
+    return
+  }
+
+  const lines = writes.map(write => `[trace] ${write.node} = ${formatValue(write.value)}`)
+  for (const run of runs) {
+    const causes = run.causes.length > 0 ? ` <- ${run.causes.join(", ")}` : " (new)"
+    lines.push(`  ${run.node}${causes}`)
+  }
+  console.log(lines.join("\n"))
+}
+
+/**
+ * Short, safe representation of a value for trace logs
+ * @param {any} value
+ * @returns {string}
+ */
+function formatValue(value) {
+  try {
+    const text = typeof value === "function" ? "[function]" : JSON.stringify(value)
+    if (text === undefined) return String(value)
+    return text.length > 60 ? `${text.slice(0, 57)}...` : text
+  } catch (e) {
+    return Object.prototype.toString.call(value)
+  }
+}
+
+/**
+ * Default equality check used to decide whether a write notifies
+ */
+function defaultEquals(a, b) {
+  return a === b
+}
+
+/**
+ * Resolve the `equals` option into a comparator
+ * false means "never equal": every write notifies
+ * @param {((prev: any, next: any) => boolean)|false|undefined} equals
+ * @returns {(prev: any, next: any) => boolean}
+ */
+function resolveEquals(equals) {
+  if (equals === false) return () => false
+  return typeof equals === "function" ? equals : defaultEquals
+}
+
+/**
+ * Shallow equality for arrays and plain objects
+ * Equal when both have the same keys (or length) with identical values
+ * @param {any} a
+ * @param {any} b
+ * @returns {boolean}
+ */
+export function shallowEqual(a, b) {
+  if (Object.is(a, b)) return true
+  if (typeof a !== "object" || typeof b !== "object" || a === null || b === null) {
+    return false
+  }
+
+  if (Array.isArray(a)) {
+    if (!Array.isArray(b) || a.length !== b.length) return false
+    for (let i = 0; i < a.length; i++) {
+      if (!Object.is(a[i], b[i])) return false
+    }
+    return true
+  }
+
+  if (Array.isArray(b) || Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) {
+    return false
+  }
+
+  const keys = Object.keys(a)
+  if (keys.length !== Object.keys(b).length) return false
+  for (const key of keys) {
+    if (!Object.prototype.hasOwnProperty.call(b, key) || !Object.is(a[key], b[key])) {
+      return false
+    }
+  }
+  return true
+}
+
+/**
+ * Subscribe the running computation to a source node
+ * @param {Object} node - Signal or computed node being read
+ */
+function track(node) {
+  const running = effectStack[effectStack.length - 1]
+  if (running) {
+    node.observers.add(running)
+    // Track the source so the computation can unsubscribe later
+    running.sources.add(node)
+  }
+}
+
+/**
+ * Mark every observer of a node, queueing effects that become stale
+ * Direct observers get `state`; their own observers get CHECK
+ * @param {Object} node - The signal or computed whose value changed
+ * @param {number} state - DIRTY or CHECK
+ */
+function markObservers(node, state) {
+  for (const observer of node.observers) {
+    if (observer.state >= state) continue
+
+    // A running effect is already CLEAN, so its own writes queue it to run again
+    if (observer.state === CLEAN && observer.isEffect) {
+      effectQueue.push(observer)
+    }
+    observer.state = state
+    markObservers(observer, CHECK)
+  }
+}
+
+/**
+ * Bring a computation up to date
+ * CHECK: pull each computed source first; only re-run if one of them changed
+ * DIRTY: re-run
+ * @param {Object} node - Effect or computed node
+ */
+function updateIfNecessary(node) {
+  if (node.state === CHECK) {
+    try {
+      for (const source of node.sources) {
+        if (source.fn) {
+          updateIfNecessary(source)
+          // A source changed value and marked us dirty, no need to check the rest
+          if (node.state === DIRTY) break
+        }
+      }
+    } catch (err) {
+      // Settle so the next write can mark and queue it again
+      node.state = CLEAN
+      throw err
+    }
+    if (node.state === CHECK) {
+      node.state = CLEAN
+    }
+  }
+
+  if (node.state === DIRTY) {
+    // Settle before running: writes made during the run mark it stale again
+    node.state = CLEAN
+    runComputation(node)
+  }
+}
+
+/**
+ * Run a computation's function, collecting fresh dependencies
+ * Tears down the previous run (children, cleanups, subscriptions) first
+ * @param {Object} node - Effect or computed node
+ */
+function runComputation(node) {
+  // Tear down whatever the previous run set up:
+  // nested effects first, then registered cleanups
+  disposeChildren(node)
+  runCleanups(node)
+
+  // Clear old dependencies before re-running
+  // This fixes stale deps from conditional reads
+  if (currentTrace) {
+    traceRun(node)
+  }
+  cleanup(node)
+
+  const prevOwner = currentOwner
+  currentOwner = node
+  effectStack.push(node)
+  try {
+    const result = node.fn()
+    if (node.isEffect) {
+      if (typeof result === "function") {
+        node.cleanups.push(result)
+      }
+    } else if (!node.hasValue || !node.equals(node.value, result)) {
+      // The first evaluation always stores its result; comparators never see an unset value
+      node.hasValue = true
+      node.value = result
+      if (currentTrace) {
+        currentTrace.changed.add(node)
+      }
+      // Observers that were only CHECKing now know they must re-run
+      // (a CLEAN observer is the one reading us right now)
+      for (const observer of node.observers) {
+        if (observer.state === CHECK) {
+          observer.state = DIRTY
+        }
+      }
+    }
+  } finally {
+    // Always clean up stack even if the computation throws
+    effectStack.pop()
+    currentOwner = prevOwner
+  }
+}
+
+/**
+ * Mark a written node's observers stale and schedule them
+ * @param {Object} node - Signal-like node whose value changed
+ */
+function notify(node) {
+  if (flushing) {
+    flushWrites.add(node)
+  }
+  if (devMode.trace) {
+    traceWrite(node)
+  }
+  markObservers(node, DIRTY)
+
+  // Inside a batch: defer until the outermost batch finishes
+  if (batchDepth === 0) {
+    scheduleFlush()
+  }
+}
+
 /**
  * Create a reactive signal
  * @param {any} initialValue - Initial value for the signal
+ * @param {Object} [options]
+ * @param {((prev: any, next: any) => boolean)|false} [options.equals] - Skip
+ *   notifying when this returns true; false notifies on every write
+ * @param {string} [options.name] - Label shown in traces, errors and getGraph()
  * @returns {[() => any, (newValue: any) => void]} - [getter, setter]
  */
-export function signal(initialValue) {
-  let value = initialValue
-  const subscribers = new Set()
+export function signal(initialValue, options = {}) {
+  const node = {
+    id: nextNodeId++,
+    name: options.name,
+    value: initialValue,
+    observers: new Set(),
+    equals: resolveEquals(options.equals)
+  }
+  registerNode(node)
 
   /**
    * Read the current value
-   * If called inside an effect, registers that effect as a subscriber
+   * If called inside an effect or computed, registers it as an observer
    */
   function read() {
-    const running = effectStack[effectStack.length - 1]
-    if (running) {
-      subscribers.add(running)
-      // Track this subscriber set so effect can clean up later
-      running.dependencies.add(subscribers)
-    }
-    return value
+    track(node)
+    return node.value
   }
 
+  /**
+   * Read the current value without subscribing
+   */
+  read.peek = () => node.value
+
   /**
    * Write a new value
    * Accepts either a value or an updater function
    */
   function write(newValue) {
-    const nextValue = typeof newValue === "function" ? newValue(value) : newValue
-    if (nextValue !== value) {
-      value = nextValue
-      // Copy subscribers to avoid mutation during iteration
-      // (an effect might add/remove subscribers while running)
-      Array.from(subscribers).forEach(fn => {
-        // Infinite loop protection: skip if effect is already running
-        if (!fn.running) {
-          fn()
-        }
-      })
+    const nextValue = typeof newValue === "function" ? newValue(node.value) : newValue
+    if (!node.equals(node.value, nextValue)) {
+      node.value = nextValue
+      notify(node)
     }
   }
 
@@ -50,162 +403,716 @@ export function signal(initialValue) {
 }
 
 /**
- * Remove an effect from all signals it subscribed to
- * Called before re-running (to clear stale deps) and on dispose
- * @param {Function} effect - The effect function to clean up
+ * Run a function without tracking the signals it reads
+ * Pushes a null entry so reads see no running effect
+ * @param {() => any} fn - Function to run untracked
+ * @returns {any} - Whatever fn returns
  */
-function cleanup(effect) {
-  for (const deps of effect.dependencies) {
-    deps.delete(effect)
+export function untrack(fn) {
+  effectStack.push(null)
+  try {
+    return fn()
+  } finally {
+    effectStack.pop()
   }
-  effect.dependencies.clear()
 }
 
 /**
- * Create a reactive effect that re-runs when dependencies change
- * @param {() => void} fn - Function to run reactively
- * @returns {() => void} - Dispose function to stop the effect
+ * Bring stale ancestors up to date before the effect itself
+ * A parent re-run disposes its children, so a child never runs on state its
+ * parent is about to replace
+ * @param {Object} node - Queued effect
  */
-export function effect(fn) {
-  const execute = () => {
-    // Infinite loop protection: skip if already running
-    if (execute.running) {
-      console.warn("Effect tried to run recursively, skipping")
-      return
+function runTop(node) {
+  const stale = []
+  for (let owner = node; owner; owner = owner.owner) {
+    if (owner.disposed) return
+    if (owner.state !== undefined && owner.state !== CLEAN) {
+      stale.push(owner)
     }
+  }
+  for (let i = stale.length - 1; i >= 0; i--) {
+    if (!stale[i].disposed) {
+      runGuarded(stale[i])
+    }
+  }
+}
 
-    // Clear old dependencies before re-running
-    // This fixes stale deps from conditional reads
-    cleanup(execute)
+/**
+ * Bring an effect up to date, routing anything it throws to its error handlers
+ * Unhandled errors are rethrown for the caller to deal with
+ * @param {Object} node - Effect node
+ */
+function runGuarded(node) {
+  try {
+    updateIfNecessary(node)
+  } catch (error) {
+    if (!handleError(node, error)) {
+      throw error
+    }
+  }
+}
 
-    execute.running = true
-    effectStack.push(execute)
+/**
+ * Pass an error to the nearest onError()/catchError() handler above a node,
+ * or to the global handler
+ * A handler that throws passes its error on to the next scope up
+ * @param {Object} owner - Node (or scope) the error came from
+ * @param {any} error
+ * @returns {boolean} - Whether a handler took the error
+ */
+function handleError(owner, error) {
+  for (let scope = owner; scope; scope = scope.owner) {
+    if (!scope.errorHandlers || scope.errorHandlers.length === 0) continue
     try {
-      fn()
-    } finally {
-      // Always clean up stack even if effect throws
-      effectStack.pop()
-      execute.running = false
+      const handlers = scope.errorHandlers
+      untrack(() => handlers.forEach(handler => handler(error)))
+      return true
+    } catch (handlerError) {
+      error = handlerError
     }
   }
 
-  // Track which signal subscriber Sets this effect is in
-  execute.dependencies = new Set()
-  execute.running = false
+  if (globalErrorHandler) {
+    untrack(() => globalErrorHandler(error))
+    return true
+  }
+  return false
+}
 
-  // Run immediately to establish initial dependencies
-  execute()
+/**
+ * Drop every queued effect after a runaway loop
+ */
+function clearQueue() {
+  for (let i = queueIndex; i < effectQueue.length; i++) {
+    effectQueue[i].state = CLEAN
+  }
+  effectQueue.length = 0
+  queueIndex = 0
+}
+
+/**
+ * Run all queued effects in the order they were marked
+ * Each stale effect runs once, seeing consistent values of every signal;
+ * effects re-queued by writes made during the flush run again afterwards
+ */
+function flushEffects() {
+  // Writes from inside a running effect are picked up by the outer flush
+  if (flushing) return
+  flushing = true
+  flushScheduled = false
+  const runs = new Map()
+  const unhandled = []
+  try {
+    while (queueIndex < effectQueue.length) {
+      const node = effectQueue[queueIndex++]
+      const count = (runs.get(node) || 0) + 1
+      runs.set(node, count)
+
+      if (count > scheduler.maxRuns) {
+        const written = Array.from(flushWrites, describeNode).join(", ") || "none"
+        // Already dequeued, so clearQueue() won't reset it; left stale it
+        // could never be queued again
+        node.state = CLEAN
+        clearQueue()
+        throw new Error(
+          `Potential infinite loop: ${describeNode(node)} re-ran more than ` +
+          `${scheduler.maxRuns} times in one flush. Signals written: ${written}`
+        )
+      }
+
+      // One failing effect must not stop the rest of the flush
+      try {
+        runTop(node)
+      } catch (error) {
+        unhandled.push(error)
+      }
+    }
+  } finally {
+    effectQueue.length = 0
+    queueIndex = 0
+    flushing = false
+    flushWrites.clear()
+    if (currentTrace) {
+      emitTrace()
+    }
+  }
 
-  // Return dispose function
-  return () => cleanup(execute)
+  // With no handler anywhere, the writer still sees the (first) error
+  if (unhandled.length > 0) {
+    unhandled.slice(1).forEach(error => console.error("Unhandled error in effect:", error))
+    throw unhandled[0]
+  }
 }
 
 /**
- * Create a computed value that updates when dependencies change
- * @param {() => any} fn - Function that calculates the result
- * @returns {() => any} - Getter function for the computed value
+ * Flush now (sync mode) or once the current task finishes (microtask mode)
  */
-export function computed(fn) {
-  const [value, setValue] = signal(undefined)
+function scheduleFlush() {
+  if (scheduler.mode === "sync") {
+    flushEffects()
+    return
+  }
+  if (!flushScheduled) {
+    flushScheduled = true
+    queueMicrotask(() => {
+      if (flushScheduled) {
+        flushEffects()
+      }
+    })
+  }
+}
 
-  // The effect automatically tracks dependencies in fn()
-  const dispose = effect(() => {
-    setValue(fn())
+/**
+ * Run every pending effect right now, whatever the scheduler mode
+ * Useful in tests and before reading the DOM after a write
+ */
+export function flushSync() {
+  flushEffects()
+}
+
+/**
+ * Configure when queued effects run
+ * @param {Object} options
+ * @param {"sync"|"microtask"} [options.mode] - Flush after each write/batch, or once per microtask
+ * @param {number} [options.maxRuns] - Re-runs of one effect per flush before reporting a loop
+ */
+export function configureScheduler(options = {}) {
+  if (options.mode !== undefined) {
+    if (options.mode !== "sync" && options.mode !== "microtask") {
+      throw new Error(`Unknown scheduler mode "${options.mode}", expected "sync" or "microtask"`)
+    }
+    scheduler.mode = options.mode
+  }
+  if (options.maxRuns !== undefined) {
+    scheduler.maxRuns = options.maxRuns
+  }
+}
+
+/**
+ * Turn dev-mode inspection on or off
+ * Both add overhead to every write and node, so keep them out of production
+ * @param {Object} options
+ * @param {boolean} [options.graph] - Register nodes created from now on for getGraph()
+ * @param {boolean|((trace: { writes: Object[], runs: Object[] }) => void)} [options.trace] -
+ *   Log each write with the chain of computations it re-ran, or pass each trace to a function
+ */
+export function configureDevMode(options = {}) {
+  if (options.graph !== undefined) {
+    devMode.graph = Boolean(options.graph)
+    if (!devMode.graph) {
+      graphNodes.clear()
+    }
+  }
+  if (options.trace !== undefined) {
+    devMode.trace = options.trace || null
+    currentTrace = null
+  }
+}
+
+/**
+ * List the nodes registered in dev mode with their dependencies and subscribers
+ * @returns {Array<{ id: number, name?: string, kind: string, label: string, value: any,
+ *   sources: number[], observers: number[] }>}
+ *
+ * @example
+ * configureDevMode({ graph: true })
+ * // ... create signals and effects ...
+ * console.table(getGraph())
+ */
+export function getGraph() {
+  if (!devMode.graph) {
+    console.warn("getGraph() only sees nodes created after configureDevMode({ graph: true })")
+  }
+
+  return Array.from(graphNodes, node => ({
+    id: node.id,
+    name: node.name,
+    kind: nodeKind(node),
+    label: describeNode(node),
+    value: node.isEffect ? undefined : node.value,
+    sources: node.sources ? Array.from(node.sources, source => source.id) : [],
+    observers: Array.from(node.observers, observer => observer.id)
+  }))
+}
+
+/**
+ * Group multiple signal writes so subscribers are notified once
+ * Batches can nest; effects are scheduled when the outermost batch finishes
+ * @param {() => any} fn - Function performing the writes
+ * @returns {any} - Whatever fn returns
+ */
+export function batch(fn) {
+  batchDepth++
+  try {
+    return fn()
+  } finally {
+    batchDepth--
+    if (batchDepth === 0) {
+      scheduleFlush()
+    }
+  }
+}
+
+/**
+ * Remove a computation from all sources it subscribed to
+ * Called before re-running (to clear stale deps) and on dispose
+ * @param {Object} node - The effect or computed node to clean up
+ */
+function cleanup(node) {
+  for (const source of node.sources) {
+    source.observers.delete(node)
+  }
+  node.sources.clear()
+}
+
+/**
+ * Run and clear the cleanup callbacks registered on an owner
+ * Runs in reverse registration order, untracked so cleanups never subscribe
+ * @param {Object} owner - The effect or root whose cleanups to run
+ */
+function runCleanups(owner) {
+  const cleanups = owner.cleanups
+  owner.cleanups = []
+  untrack(() => {
+    for (let i = cleanups.length - 1; i >= 0; i--) {
+      cleanups[i]()
+    }
   })
+}
 
-  // Attach dispose to the getter for optional cleanup
-  value.dispose = dispose
+/**
+ * Dispose every effect created during an owner's last run
+ * Children are disposed newest first
+ * @param {Object} owner - The effect or root whose children to dispose
+ */
+function disposeChildren(owner) {
+  const owned = owner.owned
+  owner.owned = []
+  for (let i = owned.length - 1; i >= 0; i--) {
+    disposeOwner(owned[i])
+  }
+}
+
+/**
+ * Permanently dispose an owner: its children, its cleanups, its subscriptions
+ * @param {Object} owner - The effect or root to dispose
+ */
+function disposeOwner(owner) {
+  if (owner.disposed) return
+  owner.disposed = true
+  graphNodes.delete(owner)
+  disposeChildren(owner)
+  runCleanups(owner)
+  if (owner.sources) {
+    cleanup(owner)
+  }
+}
 
-  return value
+/**
+ * Get the current owner
+ * Capture it to create effects later (e.g. in a callback) under the same owner
+ * @returns {Object|null} - The running effect or root, or null at top level
+ */
+export function getOwner() {
+  return currentOwner
 }
 
 /**
- * Check if localStorage is available
- * Handles cases where localStorage is disabled, in private browsing, or unavailable
- * @returns {boolean} - Whether localStorage is available
+ * Run a function with the given owner, untracked
+ * Effects and cleanups created inside attach to that owner
+ * @param {Object|null} owner - Owner from getOwner()
+ * @param {() => any} fn - Function to run
+ * @returns {any} - Whatever fn returns
  */
-function isLocalStorageAvailable() {
+export function runWithOwner(owner, fn) {
+  const prevOwner = currentOwner
+  currentOwner = owner
+  effectStack.push(null)
   try {
-    const testKey = "__dot_js_storage_test__"
-    window.localStorage.setItem(testKey, testKey)
-    window.localStorage.removeItem(testKey)
-    return true
-  } catch (e) {
-    return false
+    return fn()
+  } finally {
+    effectStack.pop()
+    currentOwner = prevOwner
   }
 }
 
 /**
- * Create a reactive signal that persists to localStorage
- * @param {string} key - The localStorage key to use for persistence
- * @param {any} defaultValue - Default value if no stored value exists
- * @returns {[() => any, (newValue: any) => void]} - [getter, setter]
+ * Create a root scope that owns every effect created inside it
+ * Roots are not disposed with their parent; call dispose to tear them down
+ * @param {(dispose: () => void) => any} fn - Function to run inside the root
+ * @returns {any} - Whatever fn returns
  */
-export function createPersistedSignal(key, defaultValue) {
-  const storageAvailable = isLocalStorageAvailable()
+export function createRoot(fn) {
+  const root = {
+    owner: currentOwner,
+    owned: [],
+    cleanups: [],
+    disposed: false
+  }
+  return runWithOwner(root, () => fn(() => disposeOwner(root)))
+}
 
-  /**
-   * Load initial value from localStorage
-   * Falls back to defaultValue if not found or on error
-   */
-  function loadInitialValue() {
-    if (!storageAvailable) {
-      return defaultValue
+/**
+ * Register a cleanup callback on the current owner
+ * Inside an effect it runs before the next run and on dispose;
+ * inside a root it runs when the root is disposed
+ * @param {() => void} fn - Cleanup callback
+ */
+export function onCleanup(fn) {
+  if (!currentOwner) {
+    console.warn("onCleanup called outside of an effect or root, ignoring")
+    return
+  }
+  currentOwner.cleanups.push(fn)
+}
+
+/**
+ * Register teardown with the current effect or root, if there is one
+ * Unlike onCleanup, quiet at top level, where the caller disposes by hand;
+ * for helpers that return their own dispose
+ * @param {() => void} fn - Teardown callback
+ */
+export function disposeWithOwner(fn) {
+  if (currentOwner) {
+    currentOwner.cleanups.push(fn)
+  }
+}
+
+/**
+ * Handle errors thrown by effects (and computeds they read) under the current owner
+ * Registered for the current run only, like onCleanup
+ * @param {(error: any) => void} handler - Receives the error; throw to pass it up
+ */
+export function onError(handler) {
+  if (!currentOwner) {
+    console.warn("onError called outside of an effect or root, ignoring")
+    return
+  }
+  if (!currentOwner.errorHandlers) {
+    currentOwner.errorHandlers = []
+  }
+  currentOwner.errorHandlers.push(handler)
+  // Cleared with the run's cleanups, so a re-run doesn't stack handlers
+  const owner = currentOwner
+  owner.cleanups.push(() => {
+    owner.errorHandlers = owner.errorHandlers.filter(h => h !== handler)
+  })
+}
+
+/**
+ * Run fn in an error boundary
+ * Errors thrown by fn, or later by any effect created inside it, go to handler
+ * instead of the code that wrote the signal; the boundary is disposed with
+ * the current owner
+ * @param {() => any} fn - Code to guard
+ * @param {(error: any) => void} handler - Receives the error; throw to pass it up
+ * @returns {any} - Whatever fn returns (undefined if it threw)
+ *
+ * @example
+ * catchError(() => {
+ *   effect(() => renderChart(data()))
+ * }, (error) => showErrorBanner(error))
+ */
+export function catchError(fn, handler) {
+  const scope = {
+    owner: currentOwner,
+    owned: [],
+    cleanups: [],
+    disposed: false,
+    errorHandlers: [handler]
+  }
+  if (currentOwner) {
+    currentOwner.owned.push(scope)
+  }
+
+  // Reads in fn still belong to the surrounding computation
+  const prevOwner = currentOwner
+  currentOwner = scope
+  try {
+    return fn()
+  } catch (error) {
+    if (!handleError(scope, error)) {
+      throw error
     }
+  } finally {
+    currentOwner = prevOwner
+  }
+}
 
-    try {
-      const stored = window.localStorage.getItem(key)
-      if (stored === null) {
-        return defaultValue
-      }
-      return JSON.parse(stored)
-    } catch (e) {
-      // JSON parse error or other issue, use default
-      console.warn(`Failed to load persisted signal "${key}":`, e)
-      return defaultValue
+/**
+ * Set the handler for errors no catchError()/onError() scope handled
+ * Without one, the error is rethrown to the code that wrote the signal,
+ * after every other queued effect has run
+ * @param {((error: any) => void)|null} handler
+ */
+export function setErrorHandler(handler) {
+  globalErrorHandler = handler
+}
+
+/**
+ * Create a computation node owned by the current owner
+ * @param {Function} fn - Function to run
+ * @param {boolean} isEffect - Effects run eagerly; computeds run on read
+ * @param {Object} [options] - { name } for all, { equals } for computeds
+ * @returns {Object} - The node
+ */
+function createComputation(fn, isEffect, options = {}) {
+  const node = {
+    id: nextNodeId++,
+    name: options.name,
+    fn,
+    isEffect,
+    equals: resolveEquals(options.equals),
+    value: undefined,
+    hasValue: false,
+    state: DIRTY,
+    // Sources this computation read during its last run
+    sources: new Set(),
+    // Computations reading this one (computeds only)
+    observers: new Set(),
+    // Cleanup callbacks and nested effects from the current run
+    cleanups: [],
+    owned: [],
+    owner: currentOwner,
+    disposed: false
+  }
+
+  // Register with the current owner so it is disposed along with it
+  if (currentOwner) {
+    currentOwner.owned.push(node)
+  }
+  registerNode(node)
+
+  return node
+}
+
+/**
+ * Create a dispose function that detaches a node from its owner first
+ * so long-lived owners don't hold disposed computations
+ * @param {Object} node - Effect or computed node
+ * @returns {() => void} - Dispose function
+ */
+function createDisposer(node) {
+  return () => {
+    if (node.disposed) return
+    if (node.owner) {
+      const index = node.owner.owned.indexOf(node)
+      if (index !== -1) node.owner.owned.splice(index, 1)
     }
+    disposeOwner(node)
   }
+}
+
+/**
+ * Create a reactive effect that re-runs when dependencies change
+ * fn may return a cleanup function, run before the next run and on dispose
+ * Writes made while the effect runs reach other effects (and the effect
+ * itself) once it finishes
+ * @param {() => void | (() => void)} fn - Function to run reactively
+ * @param {Object} [options]
+ * @param {string} [options.name] - Label shown in traces, errors and getGraph()
+ * @returns {() => void} - Dispose function to stop the effect
+ */
+export function effect(fn, options = {}) {
+  const node = createComputation(fn, true, options)
+
+  // Run immediately to establish initial dependencies
+  batch(() => runGuarded(node))
+
+  return createDisposer(node)
+}
+
+/**
+ * Create a computed value derived from other signals
+ * Evaluated lazily on read and cached until a dependency actually changes;
+ * a computed nobody reads never recomputes
+ * @param {() => any} fn - Function that calculates the result
+ * @param {Object} [options]
+ * @param {((prev: any, next: any) => boolean)|false} [options.equals] - Keep the
+ *   previous value (and skip observers) when this returns true
+ * @param {string} [options.name] - Label shown in traces, errors and getGraph()
+ * @returns {() => any} - Getter function for the computed value
+ */
+export function computed(fn, options = {}) {
+  const node = createComputation(fn, false, options)
 
   /**
-   * Save value to localStorage
-   * Silently fails if localStorage is unavailable
+   * Read the computed value, re-evaluating first if it is stale
    */
-  function saveToStorage(value) {
-    if (!storageAvailable) {
-      return
+  function read() {
+    track(node)
+    if (!node.disposed) {
+      updateIfNecessary(node)
     }
+    return node.value
+  }
 
-    try {
-      window.localStorage.setItem(key, JSON.stringify(value))
-    } catch (e) {
-      // Quota exceeded or other storage error
-      console.warn(`Failed to persist signal "${key}":`, e)
+  // Attach dispose to the getter for optional cleanup
+  read.dispose = createDisposer(node)
+
+  // Read the computed value without subscribing
+  read.peek = () => untrack(read)
+
+  return read
+}
+
+/**
+ * Read a getter, or each getter of an array
+ * @param {(() => any)|Array<() => any>} source
+ * @returns {any}
+ */
+function readSource(source) {
+  return Array.isArray(source) ? source.map(getter => getter()) : source()
+}
+
+/**
+ * Wrap fn so it depends only on deps
+ * Use the result as an effect or computed function; fn itself runs untracked
+ * and gets the previous input and its own previous result
+ * @param {(() => any)|Array<() => any>} deps - Getter or array of getters
+ * @param {(value: any, prev: any, prevResult: any) => any} fn - Called with the
+ *   value of deps (an array for an array of getters)
+ * @param {Object} [options]
+ * @param {boolean} [options.defer] - Skip the first run, only record the input
+ * @returns {() => any}
+ *
+ * @example
+ * effect(on(selectedId, (id, prevId) => scrollIntoView(id, prevId)))
+ */
+export function on(deps, fn, options = {}) {
+  let deferred = !!options.defer
+  let prev
+  let prevResult
+
+  return () => {
+    const value = readSource(deps)
+    if (deferred) {
+      deferred = false
+      prev = value
+      return undefined
     }
+    const result = untrack(() => fn(value, prev, prevResult))
+    prev = value
+    prevResult = result
+    return result
   }
+}
 
-  // Create the underlying signal with loaded value
-  const [read, write] = signal(loadInitialValue())
+/**
+ * Call back when a source changes, with the new and the previous value
+ * Only the source is tracked; signals read in the callback are not
+ * @param {(() => any)|Array<() => any>} source - Getter or array of getters
+ * @param {(next: any, prev: any, onCleanup: (fn: () => void) => void) => void} callback -
+ *   onCleanup registers teardown to run before the next call and on dispose
+ * @param {Object} [options]
+ * @param {boolean} [options.immediate] - Also call back for the current value, with prev undefined
+ * @param {boolean} [options.defer] - Skip the first call; the inverse of immediate, as in on()
+ * @param {string} [options.name] - Label shown in traces, errors and getGraph()
+ * @returns {() => void} - Dispose function to stop watching
+ *
+ * @example
+ * watch(() => settings().monthlyBudget, (budget, prevBudget) => {
+ *   console.log(`Budget changed from ${prevBudget} to ${budget}`)
+ * })
+ */
+export function watch(source, callback, options = {}) {
+  const { immediate = false, defer = !immediate, name } = options
 
-  // Track value internally to avoid subscription when using updater functions
-  let currentValue = loadInitialValue()
+  return effect(on(source, (next, prev) => {
+    callback(next, prev, onCleanup)
+  }, { defer }), { name })
+}
+
+/**
+ * Create a selector for checking one key against a source signal
+ * Each reader subscribes to its own key only, so when the source changes
+ * just the readers of the previous and the new key re-run
+ * @param {() => any} source - Signal or computed getter holding the selected key
+ * @param {(key: any, value: any) => boolean} [fn] - Custom match check;
+ *   with one, every key read so far is re-checked on change
+ * @returns {(key: any) => boolean} - isSelected(key)
+ *
+ * @example
+ * const isSelected = createSelector(selectedUserId)
+ * // inside each row:
+ * effect(() => row.classList.toggle('selected', isSelected(user.id)))
+ */
+export function createSelector(source, fn) {
+  const matches = fn || ((key, value) => key === value)
+  // key -> { id, observers, readers }, only for keys read by a computation
+  const keyNodes = new Map()
+  let value
+  let initialized = false
 
   /**
-   * Wrapped setter that also persists to localStorage
-   * Accepts either a value or an updater function
+   * Notify the readers of one key, if it has any
    */
-  function persistedWrite(newValue) {
-    // Compute next value without triggering subscription
-    const nextValue = typeof newValue === "function" ? newValue(currentValue) : newValue
+  function notifyKey(key) {
+    const keyNode = keyNodes.get(key)
+    if (keyNode) notify(keyNode)
+  }
+
+  const node = createComputation(() => {
+    const prev = value
+    value = source()
+    if (!initialized) {
+      initialized = true
+      return
+    }
+    if (prev === value) return
 
-    // Update internal tracking
-    currentValue = nextValue
+    if (fn) {
+      for (const [key, keyNode] of keyNodes) {
+        if (fn(key, prev) !== fn(key, value)) notify(keyNode)
+      }
+    } else {
+      notifyKey(prev)
+      notifyKey(value)
+    }
+  }, true)
+
+  batch(() => updateIfNecessary(node))
+
+  /**
+   * Check whether a key matches the current source value
+   * Tracks only this key in the running computation
+   */
+  function isSelected(key) {
+    // Pull the source first, so a reader running before the queued
+    // selector never sees the previous value
+    if (!node.disposed) {
+      updateIfNecessary(node)
+    }
 
-    // Save to storage before updating signal
-    saveToStorage(nextValue)
+    const running = effectStack[effectStack.length - 1]
+    if (running) {
+      let keyNode = keyNodes.get(key)
+      if (!keyNode) {
+        keyNode = { id: nextNodeId++, name: `isSelected(${String(key)})`, observers: new Set(), readers: 0 }
+        keyNodes.set(key, keyNode)
+        registerNode(keyNode)
+      }
+      keyNode.readers++
+      track(keyNode)
+      // Forget the key once no computation reads it any more
+      running.cleanups.push(() => {
+        keyNode.readers--
+        if (keyNode.readers === 0 && keyNodes.get(key) === keyNode) {
+          keyNodes.delete(key)
+          graphNodes.delete(keyNode)
+        }
+      })
+    }
 
-    // Update the underlying signal
-    write(nextValue)
+    return matches(key, value)
   }
 
-  return [read, persistedWrite]
+  // Attach dispose to the getter for optional cleanup
+  isSelected.dispose = createDisposer(node)
+
+  return isSelected
 }
+
+// Persisted signals live in persist.js, re-exported here for existing imports
+export { createPersistedSignal } from "./persist.js"
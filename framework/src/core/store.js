@@ -0,0 +1,337 @@
+import { signal, batch } from "./signal.js"
+
+/**
+ * Symbols for reaching the raw object behind a store proxy
+ * and for the per-object "set of keys" node
+ */
+const $RAW = Symbol("store-raw")
+const $KEYS = Symbol("store-keys")
+
+/**
+ * Caches keyed by raw object
+ * proxies: raw -> read-only store proxy
+ * nodes: raw -> Map(property -> [getter, setter])
+ */
+const proxies = new WeakMap()
+const nodes = new WeakMap()
+
+/**
+ * Only plain objects and arrays are made reactive
+ * Dates, Maps, class instances etc. are stored as opaque values
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isWrappable(value) {
+  if (value === null || typeof value !== "object") return false
+  if (Array.isArray(value)) return true
+  const proto = Object.getPrototypeOf(value)
+  return proto === Object.prototype || proto === null
+}
+
+/**
+ * Get (or lazily create) the signal tracking one property of a raw object
+ * @param {Object} target - Raw object
+ * @param {string|symbol} property - Property name, or $KEYS for structure
+ * @returns {[() => any, (value: any) => void]}
+ */
+function getNode(target, property) {
+  let map = nodes.get(target)
+  if (!map) {
+    map = new Map()
+    nodes.set(target, map)
+  }
+
+  let node = map.get(property)
+  if (!node) {
+    // The keys node carries no value, so every write must notify
+    node = property === $KEYS
+      ? signal(undefined, { equals: false })
+      : signal(target[property])
+    map.set(property, node)
+  }
+  return node
+}
+
+/**
+ * Notify a property's readers, if anyone has read it
+ * @param {Object} target - Raw object
+ * @param {string|symbol} property
+ * @param {any} value - New value
+ */
+function notify(target, property, value) {
+  // Proxy reads always see string keys, setter paths may use numbers
+  const key = typeof property === "number" ? String(property) : property
+  const node = nodes.get(target)?.get(key)
+  if (node) {
+    node[1](value)
+  }
+}
+
+/**
+ * Store proxy handler
+ * Every property read is tracked individually; writes are rejected
+ */
+const storeHandler = {
+  get(target, property, receiver) {
+    if (property === $RAW) return target
+
+    const value = target[property]
+    if (typeof property === "symbol") return value
+
+    // Inherited methods (array map/filter, etc.) are not state
+    if (!Object.prototype.hasOwnProperty.call(target, property) && typeof value === "function") {
+      return value
+    }
+
+    // Subscribe to this property only
+    getNode(target, property)[0]()
+    return wrap(value)
+  },
+
+  has(target, property) {
+    if (property === $RAW) return true
+    if (typeof property !== "symbol") {
+      getNode(target, property)[0]()
+    }
+    return property in target
+  },
+
+  ownKeys(target) {
+    // Iteration depends on which keys exist, not on their values
+    getNode(target, $KEYS)[0]()
+    return Reflect.ownKeys(target)
+  },
+
+  set(target, property) {
+    console.warn(`Cannot set store property "${String(property)}" directly, use the store setter`)
+    return true
+  },
+
+  deleteProperty(target, property) {
+    console.warn(`Cannot delete store property "${String(property)}" directly, use the store setter`)
+    return true
+  }
+}
+
+/**
+ * Wrap a raw value in its (cached) read-only store proxy
+ * @param {any} value
+ * @returns {any} - Proxy for plain objects/arrays, the value itself otherwise
+ */
+function wrap(value) {
+  if (!isWrappable(value) || value[$RAW]) return value
+  let proxy = proxies.get(value)
+  if (!proxy) {
+    proxy = new Proxy(value, storeHandler)
+    proxies.set(value, proxy)
+  }
+  return proxy
+}
+
+/**
+ * Get the raw data behind a store (or draft) proxy
+ * Nested proxies (e.g. from spreading a store array) are unwrapped in place,
+ * so raw data never holds proxies
+ * @param {any} value - Store proxy or plain value
+ * @param {Set} [seen] - Visited objects, guards against cycles
+ * @returns {any} - Raw value
+ */
+export function unwrap(value, seen = new Set()) {
+  if (value === null || typeof value !== "object") return value
+
+  const raw = value[$RAW]
+  if (raw) return raw
+
+  if (!isWrappable(value) || seen.has(value)) return value
+  seen.add(value)
+
+  for (const key of Object.keys(value)) {
+    const item = value[key]
+    const unwrapped = unwrap(item, seen)
+    if (unwrapped !== item) {
+      value[key] = unwrapped
+    }
+  }
+  return value
+}
+
+/**
+ * Write one property of a raw object and notify exactly the affected readers
+ * Setting undefined deletes the property
+ * @param {Object} target - Raw object
+ * @param {string|number} property
+ * @param {any} value - New raw value
+ */
+function setProperty(target, property, value) {
+  if (target[property] === value && (value !== undefined || !(property in target))) return
+
+  const hadKey = Object.prototype.hasOwnProperty.call(target, property)
+  const isArray = Array.isArray(target)
+  const prevLength = isArray ? target.length : 0
+
+  if (value === undefined) {
+    delete target[property]
+  } else {
+    target[property] = value
+  }
+
+  notify(target, property, value)
+
+  if (isArray && target.length !== prevLength) {
+    // Indices cut off by a shorter length now read undefined
+    for (let i = target.length; i < prevLength; i++) {
+      notify(target, String(i), undefined)
+    }
+    notify(target, "length", target.length)
+  }
+
+  if (hadKey !== Object.prototype.hasOwnProperty.call(target, property) || (isArray && target.length < prevLength)) {
+    notify(target, $KEYS)
+  }
+}
+
+/**
+ * Shallow-merge an object (or array) into a raw store object
+ * @param {Object} target - Raw object
+ * @param {Object} value - Properties to write
+ */
+function mergeStoreNode(target, value) {
+  for (const key of Object.keys(value)) {
+    setProperty(target, key, value[key])
+  }
+  // Replacing a root array with a shorter one drops the extra items
+  if (Array.isArray(target) && Array.isArray(value)) {
+    setProperty(target, "length", value.length)
+  }
+}
+
+/**
+ * Apply a setter call: walk the path, then write the final value
+ * Path parts may be a key, an array of keys, or (on arrays) a filter function
+ * The final value may be an updater (prev => next); objects are shallow-merged
+ * @param {Object} current - Raw object at this level
+ * @param {Array} path - Remaining path parts, ending with the value
+ * @param {Array} traversed - Keys walked so far (innermost first)
+ */
+function updatePath(current, path, traversed = []) {
+  let part
+  let prev = current
+
+  if (path.length > 1) {
+    part = path.shift()
+
+    if (Array.isArray(part)) {
+      for (const key of part) {
+        updatePath(current, [key, ...path], traversed)
+      }
+      return
+    }
+
+    if (typeof part === "function" && Array.isArray(current)) {
+      for (let i = 0; i < current.length; i++) {
+        if (part(wrap(current[i]), i)) {
+          updatePath(current, [i, ...path], traversed)
+        }
+      }
+      return
+    }
+
+    prev = current[part]
+    traversed = [part, ...traversed]
+
+    if (path.length > 1) {
+      updatePath(prev, path, traversed)
+      return
+    }
+  }
+
+  let value = path[0]
+  if (typeof value === "function") {
+    value = value(prev, traversed)
+    if (value === prev) return
+  }
+  if (part === undefined && value == undefined) return
+
+  value = unwrap(value)
+  if (part === undefined || (isWrappable(prev) && isWrappable(value) && !Array.isArray(value))) {
+    mergeStoreNode(prev, value)
+  } else {
+    setProperty(current, part, value)
+  }
+}
+
+/**
+ * Create a deep reactive store
+ * Effects re-run only when a property they actually read changes
+ * @param {Object|Array} initialValue - Initial state (plain object or array)
+ * @returns {[Object, (...pathAndValue: any[]) => void]} - [read-only state proxy, setter]
+ *
+ * @example
+ * const [state, setState] = createStore({ expenses: [] })
+ * setState('expenses', exp => exp.id === id, 'isPaid', true)
+ * setState(produce(s => { s.expenses.push(newExpense) }))
+ */
+export function createStore(initialValue = {}) {
+  const raw = unwrap(initialValue)
+  if (!isWrappable(raw)) {
+    throw new Error("createStore expects a plain object or array")
+  }
+
+  const state = wrap(raw)
+
+  function setState(...args) {
+    batch(() => {
+      updatePath(raw, args)
+    })
+  }
+
+  return [state, setState]
+}
+
+/**
+ * Create a mutable draft proxy over a raw object
+ * Writes go through setProperty so each one notifies its own readers
+ * @param {Object} target - Raw object
+ * @param {WeakMap} drafts - Draft cache for this produce() call
+ * @returns {Proxy}
+ */
+function createDraft(target, drafts) {
+  let draft = drafts.get(target)
+  if (draft) return draft
+
+  draft = new Proxy(target, {
+    get(target, property) {
+      if (property === $RAW) return target
+      const value = target[property]
+      return isWrappable(value) ? createDraft(value, drafts) : value
+    },
+    set(target, property, value) {
+      setProperty(target, property, unwrap(value))
+      return true
+    },
+    deleteProperty(target, property) {
+      setProperty(target, property, undefined)
+      return true
+    }
+  })
+  drafts.set(target, draft)
+  return draft
+}
+
+/**
+ * Update a store by mutating a draft
+ * Use as the value in a store setter call
+ * @param {(draft: Object) => void} fn - Mutates the draft
+ * @returns {(state: Object) => Object} - Updater for the setter
+ *
+ * @example
+ * setState('expenses', 0, produce(exp => { exp.isPaid = true }))
+ */
+export function produce(fn) {
+  return (state) => {
+    if (isWrappable(state)) {
+      fn(createDraft(state, new WeakMap()))
+    }
+    return state
+  }
+}
@@ -1,4 +1,4 @@
-import { effect } from "./signal.js";
+import { effect, createRoot, disposeWithOwner } from "./signal.js";
 
 /**
  * Safe URL protocols for href, src, and similar attributes
@@ -22,6 +22,20 @@ function sanitizeUrl(url) {
   return url
 }
 
+/**
+ * Parsed templates, keyed by the TemplateStringsArray of each html`` call site
+ * The same call site always passes the same strings array, so after the
+ * first call a template only needs to be cloned and bound
+ */
+const templateCache = new WeakMap()
+
+/**
+ * Node property holding the teardown registered with onNodeDispose()
+ * A property rather than a WeakMap: one entry per rendered node makes
+ * WeakMap bookkeeping the slowest part of a cached render
+ */
+const DISPOSERS = '_dotDisposers'
+
 /**
  * Tagged template
  * @param {TemplateStringsArray} strings
@@ -29,6 +43,41 @@ function sanitizeUrl(url) {
  * @returns {Node}
  */
 export function html(strings, ...values) {
+  let compiled = templateCache.get(strings)
+  if (!compiled) {
+    compiled = compileTemplate(strings)
+    templateCache.set(strings, compiled)
+  }
+
+  // Return content
+  const content = compiled.template.content.cloneNode(true)
+
+  // The bindings' effects live in a scope of their own, so removing the
+  // nodes can stop them (disposeNode); inside an effect or root they also
+  // go when it re-runs or is disposed
+  let dispose
+  createRoot((disposeScope) => {
+    dispose = disposeScope
+    bindTemplate(content, compiled.bindings, values)
+  })
+  disposeWithOwner(dispose)
+  for (const node of content.childNodes) {
+    onNodeDispose(node, dispose)
+  }
+
+  // return one element or fragment
+  if (content.childNodes.length === 1) {
+    return content.firstChild
+  }
+  return content
+}
+
+/**
+ * Parse a template's strings once and record where its values go
+ * @param {TemplateStringsArray} strings
+ * @returns {{ template: HTMLTemplateElement, bindings: Array<Object> }}
+ */
+function compileTemplate(strings) {
   // Generate unique marker ID to prevent spoofing
   const markerId = Math.random().toString(36).slice(2, 10)
 
@@ -37,7 +86,7 @@ export function html(strings, ...values) {
 
   strings.forEach((str, i) => {
     htmlString += str
-    if (i < values.length) {
+    if (i < strings.length - 1) {
       // Check if it's an attribute
       const isInAttribute = isInsideAttribute(htmlString)
 
@@ -55,17 +104,53 @@ export function html(strings, ...values) {
   const template = document.createElement("template")
   template.innerHTML = htmlString.trim()
 
-  // Return content
-  const content = template.content.cloneNode(true)
+  const bindings = findBindings(template.content, markerId)
+  return { template, bindings }
+}
 
-  // Find and replace markers with combined TreeWalker
-  processMarkersAndAttributes(content, values, markerId)
+/**
+ * Register teardown to run when a node is disposed with disposeNode()
+ * html`` uses it for the effects of the nodes it returns
+ * @param {Node} node
+ * @param {() => void} dispose
+ */
+export function onNodeDispose(node, dispose) {
+  if (node[DISPOSERS]) {
+    node[DISPOSERS].push(dispose)
+  } else {
+    node[DISPOSERS] = [dispose]
+  }
+}
 
-  // return one element or fragment
-  if (content.childNodes.length === 1) {
-    return content.firstChild
+/**
+ * Stop the effects of every html`` result (and list) in a node's subtree
+ * Call it for DOM you remove for good; unmount() does it for you
+ * @param {Node} node
+ */
+export function disposeNode(node) {
+  const disposers = node[DISPOSERS]
+  if (disposers) {
+    node[DISPOSERS] = undefined
+    disposers.forEach(dispose => dispose())
+  }
+  for (const child of node.childNodes) {
+    disposeNode(child)
   }
-  return content
+}
+
+/**
+ * Move teardown registered on a node by its parents onto the node replacing it
+ * The first `own` disposers came with the node itself (its own html`` result)
+ * and stay behind; the rest, like the enclosing template's scope, follow the
+ * position in the DOM
+ * @param {Node} from - Node being replaced
+ * @param {Node} to - Replacement
+ * @param {number} own - How many of from's disposers are its own
+ */
+function handOverDisposers(from, to, own) {
+  const disposers = from[DISPOSERS]
+  if (!disposers || disposers.length <= own) return
+  disposers.splice(own).forEach(dispose => onNodeDispose(to, dispose))
 }
 
 function isInsideAttribute(html) {
@@ -241,173 +326,210 @@ function applyAttribute(element, name, value) {
 }
 
 /**
- * Combined TreeWalker for processing both comment markers and attributes
- * @param {Node} root - Root node to traverse
- * @param {Array} values - Template values
+ * Combined TreeWalker for finding both comment markers and attributes
+ * Marker attributes are removed from the template, so clones come without them
+ * @param {DocumentFragment} root - Parsed template content
  * @param {string} markerId - Unique marker ID for this template
+ * @returns {Array<Object>} - Bindings in document order:
+ *   { type: 'spread'|'attr'|'content', path, index, name }
  */
-function processMarkersAndAttributes(root, values, markerId) {
+function findBindings(root, markerId) {
   const walker = document.createTreeWalker(
     root,
     NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_COMMENT,
     null
   )
 
-  const commentNodesToProcess = []
+  const attrBindings = []
+  const contentBindings = []
   const attrPattern = new RegExp(`__dot_${markerId}_attr_(\\d+)__`)
   const commentPattern = new RegExp(`^dot-${markerId}-(\\d+)$`)
 
-  // First pass: collect all nodes to process
   while (walker.nextNode()) {
     const node = walker.currentNode
 
     if (node.nodeType === Node.COMMENT_NODE) {
-      // Process comment markers
       const match = node.textContent.match(commentPattern)
       if (match) {
-        const index = parseInt(match[1])
-        commentNodesToProcess.push({ node, index })
+        contentBindings.push({ type: 'content', path: pathTo(root, node), index: parseInt(match[1]) })
       }
     } else if (node.nodeType === Node.ELEMENT_NODE) {
-      // Process attributes
       const element = node
+      const spreads = []
+      const attrs = []
+      const placeholders = []
 
-      // Collect attributes to process (iterate backwards to safely remove)
-      const attrsToProcess = []
-      const spreadAttrsToProcess = []
       for (let i = 0; i < element.attributes.length; i++) {
         const attr = element.attributes[i]
         // Check if marker is in attribute VALUE (e.g., class="${...}")
         const valueMatch = attr.value.match(attrPattern)
         if (valueMatch) {
-          attrsToProcess.push({ attr, index: parseInt(valueMatch[1]) })
+          attrs.push({ type: 'attr', name: attr.name, index: parseInt(valueMatch[1]) })
+          placeholders.push(attr.name)
         }
         // Check if marker is the attribute NAME (e.g., ${bind(...)}) - object spread
         const nameMatch = attr.name.match(attrPattern)
         if (nameMatch) {
-          spreadAttrsToProcess.push({ attr, index: parseInt(nameMatch[1]) })
+          spreads.push({ type: 'spread', index: parseInt(nameMatch[1]) })
+          placeholders.push(attr.name)
         }
       }
 
-      // Process object spreads first (e.g., ${bind([signal, setSignal])})
-      for (const { attr, index } of spreadAttrsToProcess) {
-        const value = values[index]
-        element.removeAttribute(attr.name)
+      if (placeholders.length > 0) {
+        const path = pathTo(root, element)
+        // Object spreads first (e.g., ${bind([signal, setSignal])})
+        for (const binding of [...spreads, ...attrs]) {
+          attrBindings.push({ ...binding, path })
+        }
+        placeholders.forEach(name => element.removeAttribute(name))
+      }
+    }
+  }
 
-        if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Node)) {
-          // Spread object properties as attributes
-          for (const [propName, propValue] of Object.entries(value)) {
-            applyAttribute(element, propName, propValue)
-          }
+  // Attributes are bound before content markers are replaced
+  return [...attrBindings, ...contentBindings]
+}
+
+/**
+ * Child indexes leading from root to node
+ * @param {Node} root
+ * @param {Node} node
+ * @returns {number[]}
+ */
+function pathTo(root, node) {
+  const path = []
+  while (node !== root) {
+    path.unshift(Array.prototype.indexOf.call(node.parentNode.childNodes, node))
+    node = node.parentNode
+  }
+  return path
+}
+
+/**
+ * Bind values into a fresh clone of a compiled template
+ * @param {DocumentFragment} content - Clone of the template content
+ * @param {Array<Object>} bindings - From findBindings()
+ * @param {Array} values - Template values
+ */
+function bindTemplate(content, bindings, values) {
+  // Resolve paths first: replacing content markers shifts child indexes
+  const nodes = bindings.map(({ path }) => {
+    let node = content
+    for (const index of path) {
+      node = node.childNodes[index]
+    }
+    return node
+  })
+
+  bindings.forEach((binding, i) => {
+    const node = nodes[i]
+    const value = values[binding.index]
+
+    if (binding.type === 'content') {
+      replaceMarker(node, value)
+    } else if (binding.type === 'spread') {
+      if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Node)) {
+        // Spread object properties as attributes
+        for (const [propName, propValue] of Object.entries(value)) {
+          applyAttribute(node, propName, propValue)
         }
       }
+    } else {
+      bindAttribute(node, binding.name, value)
+    }
+  })
+}
 
-      // Process collected attributes
-      for (const { attr, index } of attrsToProcess) {
-        const value = values[index]
-
-        // Check if it's an event handler
-        if (attr.name.startsWith("on")) {
-          // Type check: event handlers must be functions
-          if (typeof value !== 'function') {
-            console.warn(`Event handler for ${attr.name} must be a function, got ${typeof value}`)
-            element.removeAttribute(attr.name)
-            continue
-          }
-          // Get event name
-          const eventName = attr.name.slice(2);
-          // Add the real event listener
-          element.addEventListener(eventName, value)
-          // Remove placeholder
-          element.removeAttribute(attr.name)
-        } else if (attr.name === 'style') {
-          element.removeAttribute(attr.name)
-          // Reactive style binding
-          if (typeof value === "function") {
-            effect(() => {
-              const result = value()
-              element.setAttribute("style", styleObjectToString(result))
-            })
-          } else {
-            // Static style object
-            element.setAttribute("style", styleObjectToString(value))
-          }
-        } else if (URL_ATTRS.includes(attr.name)) {
-          // URL attribute - sanitize for security
-          element.removeAttribute(attr.name)
-          if (typeof value === "function") {
-            effect(() => {
-              const result = value()
-              element.setAttribute(attr.name, sanitizeUrl(result))
-            })
-          } else {
-            element.setAttribute(attr.name, sanitizeUrl(value))
-          }
-        } else if (attr.name === 'checked' && element.tagName === 'INPUT') {
-          // Checkbox/radio checked - use property for reactivity
-          element.removeAttribute(attr.name)
-          if (typeof value === "function") {
-            effect(() => {
-              element.checked = !!value()
-            })
-          } else {
-            element.checked = !!value
-          }
-        } else if (BOOLEAN_ATTRS.includes(attr.name)) {
-          // Boolean attribute - presence means true, absence means false
-          element.removeAttribute(attr.name)
-          if (typeof value === "function") {
-            effect(() => {
-              const result = value()
-              if (result) {
-                element.setAttribute(attr.name, '')
-              } else {
-                element.removeAttribute(attr.name)
-              }
-            })
-          } else {
-            if (value) {
-              element.setAttribute(attr.name, '')
-            }
-            // If falsy, attribute stays removed
-          }
-        } else if (attr.name === 'value' && (element.tagName === 'INPUT' || element.tagName === 'SELECT' || element.tagName === 'TEXTAREA')) {
-          // Form element value - use property, not attribute
-          element.removeAttribute(attr.name)
-          if (typeof value === "function") {
-            effect(() => {
-              const result = value() ?? ''
-              // Only update if different to preserve cursor position
-              if (element.value !== String(result)) {
-                element.value = result
-              }
-            })
-          } else {
-            element.value = value ?? ''
-          }
+/**
+ * Bind a value to an attribute that held a marker
+ * @param {HTMLElement} element
+ * @param {string} name - Attribute name
+ * @param {any} value - Template value
+ */
+function bindAttribute(element, name, value) {
+  // Check if it's an event handler
+  if (name.startsWith("on")) {
+    // Type check: event handlers must be functions
+    if (typeof value !== 'function') {
+      console.warn(`Event handler for ${name} must be a function, got ${typeof value}`)
+      return
+    }
+    // Get event name
+    const eventName = name.slice(2);
+    // Add the real event listener
+    element.addEventListener(eventName, value)
+  } else if (name === 'style') {
+    // Reactive style binding
+    if (typeof value === "function") {
+      effect(() => {
+        const result = value()
+        element.setAttribute("style", styleObjectToString(result))
+      })
+    } else {
+      // Static style object
+      element.setAttribute("style", styleObjectToString(value))
+    }
+  } else if (URL_ATTRS.includes(name)) {
+    // URL attribute - sanitize for security
+    if (typeof value === "function") {
+      effect(() => {
+        const result = value()
+        element.setAttribute(name, sanitizeUrl(result))
+      })
+    } else {
+      element.setAttribute(name, sanitizeUrl(value))
+    }
+  } else if (name === 'checked' && element.tagName === 'INPUT') {
+    // Checkbox/radio checked - use property for reactivity
+    if (typeof value === "function") {
+      effect(() => {
+        element.checked = !!value()
+      })
+    } else {
+      element.checked = !!value
+    }
+  } else if (BOOLEAN_ATTRS.includes(name)) {
+    // Boolean attribute - presence means true, absence means false
+    if (typeof value === "function") {
+      effect(() => {
+        const result = value()
+        if (result) {
+          element.setAttribute(name, '')
         } else {
-          // Regular attribute
-          // Remove placeholder
-          element.removeAttribute(attr.name)
-          if (typeof value === "function") {
-            // update attribute when signal changes
-            effect(() => {
-              const result = value()
-              element.setAttribute(attr.name, result)
-            })
-          } else {
-            element.setAttribute(attr.name, value)
-          }
+          element.removeAttribute(name)
         }
+      })
+    } else {
+      if (value) {
+        element.setAttribute(name, '')
       }
+      // If falsy, attribute stays removed
+    }
+  } else if (name === 'value' && (element.tagName === 'INPUT' || element.tagName === 'SELECT' || element.tagName === 'TEXTAREA')) {
+    // Form element value - use property, not attribute
+    if (typeof value === "function") {
+      effect(() => {
+        const result = value() ?? ''
+        // Only update if different to preserve cursor position
+        if (element.value !== String(result)) {
+          element.value = result
+        }
+      })
+    } else {
+      element.value = value ?? ''
+    }
+  } else {
+    // Regular attribute
+    if (typeof value === "function") {
+      // update attribute when signal changes
+      effect(() => {
+        const result = value()
+        element.setAttribute(name, result)
+      })
+    } else {
+      element.setAttribute(name, value)
     }
   }
-
-  // Second pass: replace comment markers with content
-  commentNodesToProcess.forEach(({ node, index }) => {
-    const value = values[index]
-    replaceMarker(node, value)
-  })
 }
 
 /**
@@ -420,6 +542,8 @@ function replaceMarker(markerNode, value) {
     // Create a placeholder for reactive content
     let currentNode = document.createTextNode("")
     parent.replaceChild(currentNode, markerNode)
+    // Disposers currentNode already had when it was put in place
+    let ownDisposers = 0
 
     // Effect to update node when signal changes
     effect(() => {
@@ -450,9 +574,14 @@ function replaceMarker(markerNode, value) {
 
       // Replace current node with new content (use currentNode.parentNode to get actual parent)
       const actualParent = currentNode.parentNode
-      if (actualParent) {
+      if (actualParent && newNode !== currentNode) {
         actualParent.replaceChild(newNode, currentNode)
+        // A template rooted here registered its scope on currentNode;
+        // unmount() has to find it on the new node
+        const own = newNode[DISPOSERS]?.length || 0
+        handOverDisposers(currentNode, newNode, ownDisposers)
         currentNode = newNode
+        ownDisposers = own
       }
     })
   } else if (value instanceof Node) {
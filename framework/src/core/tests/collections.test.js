@@ -0,0 +1,190 @@
+/**
+ * Tests for collections.js - reactive Map, Set and array
+ * No DOM required - runs in pure Node.js
+ */
+
+import { describe, test, assert, exit } from '../test-runner.js'
+import { effect, batch } from '../signal.js'
+import { ReactiveMap, ReactiveSet, createReactiveArray } from '../collections.js'
+
+await describe('ReactiveMap', async () => {
+  await test('behaves like a Map', () => {
+    const map = new ReactiveMap([['a', 1], ['b', 2]])
+    assert.ok(map instanceof Map)
+    assert.equal(map.get('a'), 1)
+    assert.equal(map.size, 2)
+    assert.deepEqual([...map], [['a', 1], ['b', 2]])
+  })
+
+  await test('get() tracks only the key it reads', () => {
+    const map = new ReactiveMap([['a', 1], ['b', 2]])
+    let runsA = 0
+    let runsB = 0
+    effect(() => { map.get('a'); runsA++ })
+    effect(() => { map.get('b'); runsB++ })
+
+    map.set('a', 10)
+    assert.equal(runsA, 2)
+    assert.equal(runsB, 1)
+  })
+
+  await test('has() re-runs when the key is added or removed', () => {
+    const map = new ReactiveMap()
+    const seen = []
+    effect(() => { seen.push(map.has('x')) })
+
+    map.set('y', 1)
+    map.set('x', 1)
+    map.delete('x')
+    assert.deepEqual(seen, [false, true, false])
+  })
+
+  await test('size and keys() track structure, not values', () => {
+    const map = new ReactiveMap([['a', 1]])
+    let sizeRuns = 0
+    let keysRuns = 0
+    effect(() => { map.size; sizeRuns++ })
+    effect(() => { [...map.keys()]; keysRuns++ })
+
+    map.set('a', 2)
+    assert.equal(sizeRuns, 1)
+    assert.equal(keysRuns, 1)
+
+    map.set('b', 1)
+    assert.equal(sizeRuns, 2)
+    assert.equal(keysRuns, 2)
+  })
+
+  await test('iteration tracks value changes', () => {
+    const map = new ReactiveMap([['a', 1]])
+    let total = 0
+    effect(() => {
+      total = 0
+      map.forEach(value => { total += value })
+    })
+
+    map.set('a', 5)
+    assert.equal(total, 5)
+    map.set('b', 2)
+    assert.equal(total, 7)
+  })
+
+  await test('setting the same value does not notify', () => {
+    const map = new ReactiveMap([['a', 1]])
+    let runs = 0
+    effect(() => { map.get('a'); runs++ })
+
+    map.set('a', 1)
+    assert.equal(runs, 1)
+  })
+
+  await test('clear() notifies every tracked key once', () => {
+    const map = new ReactiveMap([['a', 1], ['b', 2]])
+    let runs = 0
+    effect(() => { map.get('a'); map.get('b'); runs++ })
+
+    map.clear()
+    assert.equal(runs, 2)
+    assert.equal(map.get('a'), undefined)
+  })
+})
+
+await describe('ReactiveSet', async () => {
+  await test('has() tracks only the value it reads', () => {
+    const set = new ReactiveSet([1])
+    let runs1 = 0
+    let runs2 = 0
+    effect(() => { set.has(1); runs1++ })
+    effect(() => { set.has(2); runs2++ })
+
+    set.add(2)
+    assert.equal(runs1, 1)
+    assert.equal(runs2, 2)
+  })
+
+  await test('size and iteration track structure', () => {
+    const set = new ReactiveSet(['a'])
+    let items = []
+    effect(() => { items = [...set] })
+
+    set.add('b')
+    assert.deepEqual(items, ['a', 'b'])
+    set.add('b')
+    set.delete('a')
+    assert.deepEqual(items, ['b'])
+    assert.equal(set.size, 1)
+  })
+})
+
+await describe('createReactiveArray', async () => {
+  await test('index reads track only that index', () => {
+    const arr = createReactiveArray(['a', 'b'])
+    let runs0 = 0
+    let runs1 = 0
+    effect(() => { arr[0]; runs0++ })
+    effect(() => { arr[1]; runs1++ })
+
+    arr[1] = 'B'
+    assert.equal(runs0, 1)
+    assert.equal(runs1, 2)
+  })
+
+  await test('push() notifies length readers once', () => {
+    const arr = createReactiveArray([])
+    const lengths = []
+    effect(() => { lengths.push(arr.length) })
+
+    arr.push(1, 2)
+    assert.deepEqual(lengths, [0, 2])
+  })
+
+  await test('splice() notifies shifted indices and length', () => {
+    const arr = createReactiveArray([1, 2, 3])
+    let first = 0
+    let last = 0
+    effect(() => { first = arr[0] })
+    effect(() => { last = arr[arr.length - 1] })
+
+    arr.splice(0, 1)
+    assert.equal(first, 2)
+    assert.equal(last, 3)
+    assert.deepEqual([...arr], [2, 3])
+  })
+
+  await test('array methods read reactively', () => {
+    const arr = createReactiveArray([1, 2])
+    let doubled = []
+    effect(() => { doubled = arr.map(n => n * 2) })
+
+    arr.push(3)
+    assert.deepEqual(doubled, [2, 4, 6])
+  })
+
+  await test('mutators do not subscribe the calling effect', () => {
+    const arr = createReactiveArray([])
+    const other = createReactiveArray([])
+    let runs = 0
+    effect(() => {
+      runs++
+      if (runs === 1) arr.push(1)
+      other.length
+    })
+
+    arr.push(2)
+    assert.equal(runs, 1)
+  })
+
+  await test('writes inside batch() notify once', () => {
+    const arr = createReactiveArray([1, 2])
+    let runs = 0
+    effect(() => { arr.forEach(() => {}); runs++ })
+
+    batch(() => {
+      arr[0] = 10
+      arr[1] = 20
+    })
+    assert.equal(runs, 2)
+  })
+})
+
+exit()
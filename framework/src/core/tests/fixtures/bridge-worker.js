@@ -0,0 +1,14 @@
+/**
+ * Worker side of the bridgeSignals() test
+ * Mirrors numbers from the main thread and sends back their total
+ */
+import { parentPort } from 'node:worker_threads'
+import { signal, computed, effect } from '../../signal.js'
+import { bridgeSignals } from '../../worker.js'
+
+const [numbers, setNumbers] = signal([])
+const [total, setTotal] = signal(0)
+const sum = computed(() => numbers().reduce((acc, n) => acc + n, 0))
+
+bridgeSignals(parentPort, { numbers: [numbers, setNumbers], total: [total, setTotal] })
+effect(() => setTotal(sum()))
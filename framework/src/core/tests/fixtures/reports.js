@@ -0,0 +1,16 @@
+/**
+ * Derivations for the workerComputed() tests, loaded inside a worker
+ */
+
+export function total(numbers) {
+  return numbers.reduce((sum, n) => sum + n, 0)
+}
+
+export async function slowTotal(numbers, ms) {
+  await new Promise(resolve => setTimeout(resolve, ms))
+  return total(numbers)
+}
+
+export function fail() {
+  throw new Error('report failed')
+}
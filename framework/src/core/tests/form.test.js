@@ -0,0 +1,113 @@
+/**
+ * Tests for form.js - lenses and bindings
+ * No DOM required - runs in pure Node.js (bindings get plain event objects)
+ */
+
+import { describe, test, assert, exit } from '../test-runner.js'
+import { signal, effect } from '../signal.js'
+import { lens, bind, bindNumber, bindCheckbox } from '../form.js'
+
+/**
+ * Minimal input event for a binding handler
+ */
+function inputEvent(props) {
+  return { target: props }
+}
+
+await describe('lens - nested fields of object signals', async () => {
+  await test('reads and writes a field by path', () => {
+    const [settings, setSettings] = signal({ currency: 'USD', monthlyBudget: 1000 })
+    const [currency, setCurrency] = lens([settings, setSettings], 'currency')
+
+    assert.equal(currency(), 'USD')
+    setCurrency('EUR')
+    assert.deepEqual(settings(), { currency: 'EUR', monthlyBudget: 1000 })
+  })
+
+  await test('writes back immutably and shares untouched branches', () => {
+    const original = { profile: { name: 'Ann', address: { city: 'Oslo' } }, tags: ['a'] }
+    const [user, setUser] = signal(original)
+    const [, setCity] = lens([user, setUser], 'profile.address.city')
+
+    setCity('Riga')
+    assert.equal(original.profile.address.city, 'Oslo')
+    assert.equal(user().profile.address.city, 'Riga')
+    assert.ok(user() !== original)
+    assert.ok(user().profile !== original.profile)
+    assert.equal(user().tags, original.tags)
+  })
+
+  await test('accepts an array path and copies arrays as arrays', () => {
+    const [data, setData] = signal({ rows: [{ done: false }, { done: false }] })
+    const [done, setDone] = lens([data, setData], ['rows', 1, 'done'])
+
+    setDone(true)
+    assert.equal(done(), true)
+    assert.ok(Array.isArray(data().rows))
+    assert.equal(data().rows[0].done, false)
+  })
+
+  await test('creates missing objects on the path', () => {
+    const [config, setConfig] = signal({})
+    const [, setTheme] = lens([config, setConfig], 'ui.theme')
+
+    setTheme('dark')
+    assert.deepEqual(config(), { ui: { theme: 'dark' } })
+  })
+
+  await test('accepts updater functions', () => {
+    const [state, setState] = signal({ count: 1 })
+    const [, setCount] = lens([state, setState], 'count')
+
+    setCount(n => n + 1)
+    assert.equal(state().count, 2)
+  })
+
+  await test('does not notify when the field is unchanged', () => {
+    const [settings, setSettings] = signal({ currency: 'USD' })
+    const [, setCurrency] = lens([settings, setSettings], 'currency')
+    let runs = 0
+    effect(() => { settings(); runs++ })
+
+    setCurrency('USD')
+    assert.equal(runs, 1)
+  })
+
+  await test('function variant uses view and update', () => {
+    const [todos, setTodos] = signal(['a', 'b'])
+    const [first, setFirst] = lens(
+      [todos, setTodos],
+      list => list[0],
+      (list, value) => [value, ...list.slice(1)]
+    )
+
+    setFirst('z')
+    assert.equal(first(), 'z')
+    assert.deepEqual(todos(), ['z', 'b'])
+  })
+
+  await test('function variant requires an update function', () => {
+    const [todos, setTodos] = signal([])
+    assert.throws(() => lens([todos, setTodos], list => list[0]))
+  })
+})
+
+await describe('lens - with bindings', async () => {
+  await test('works with bind, bindNumber and bindCheckbox', () => {
+    const [settings, setSettings] = signal({ currency: 'USD', monthlyBudget: 1000, darkMode: false })
+    const text = bind(lens([settings, setSettings], 'currency'))
+    const number = bindNumber(lens([settings, setSettings], 'monthlyBudget'))
+    const checkbox = bindCheckbox(lens([settings, setSettings], 'darkMode'))
+
+    text.oninput(inputEvent({ value: 'GBP' }))
+    number.oninput(inputEvent({ value: '250' }))
+    checkbox.onchange(inputEvent({ checked: true }))
+
+    assert.deepEqual(settings(), { currency: 'GBP', monthlyBudget: 250, darkMode: true })
+    assert.equal(text.value(), 'GBP')
+    assert.equal(number.value(), 250)
+    assert.equal(checkbox.checked(), true)
+  })
+})
+
+exit()
@@ -0,0 +1,216 @@
+/**
+ * Tests for history.js - undo/redo
+ * Requires window.localStorage for the persisted signal test - uses happy-dom
+ */
+
+import { window } from './dom-setup.js'
+import { describe, test, assert, exit } from '../test-runner.js'
+
+// Import after window is set up
+const { signal, effect, configureScheduler } = await import('../signal.js')
+const { createPersistedSignal } = await import('../persist.js')
+const { createStore, produce, unwrap } = await import('../store.js')
+const { createHistory } = await import('../history.js')
+
+await describe('createHistory - undo and redo', async () => {
+  await test('undoes and redoes writes in order', () => {
+    const [count, setCount] = signal(0)
+    const history = createHistory([count, setCount])
+
+    setCount(1)
+    setCount(2)
+    history.undo()
+    assert.equal(count(), 1)
+    history.undo()
+    assert.equal(count(), 0)
+    history.redo()
+    assert.equal(count(), 1)
+    history.redo()
+    assert.equal(count(), 2)
+  })
+
+  await test('does nothing with no entries', () => {
+    const [count, setCount] = signal(5)
+    const history = createHistory([count, setCount])
+
+    history.undo()
+    history.redo()
+    assert.equal(count(), 5)
+  })
+
+  await test('a new write clears the redo stack', () => {
+    const [count, setCount] = signal(0)
+    const history = createHistory([count, setCount])
+
+    setCount(1)
+    history.undo()
+    setCount(10)
+    history.redo()
+    assert.equal(count(), 10)
+    history.undo()
+    assert.equal(count(), 0)
+  })
+
+  await test('canUndo and canRedo are reactive', () => {
+    const [count, setCount] = signal(0)
+    const history = createHistory([count, setCount])
+    const seen = []
+    effect(() => {
+      seen.push(`${history.canUndo()}/${history.canRedo()}`)
+    })
+
+    setCount(1)
+    history.undo()
+    history.redo()
+    history.clear()
+    assert.deepEqual(seen, ['false/false', 'true/false', 'false/true', 'true/false', 'false/false'])
+    assert.equal(count(), 1)
+  })
+
+  await test('keeps at most limit entries', () => {
+    const [count, setCount] = signal(0)
+    const history = createHistory([count, setCount], { limit: 2 })
+
+    setCount(1)
+    setCount(2)
+    setCount(3)
+    history.undo()
+    history.undo()
+    history.undo()
+    assert.equal(count(), 1)
+  })
+
+  await test('stops recording once disposed', () => {
+    const [count, setCount] = signal(0)
+    const history = createHistory([count, setCount])
+
+    history.dispose()
+    setCount(1)
+    assert.equal(history.canUndo(), false)
+  })
+})
+
+await describe('createHistory - grouping', async () => {
+  await test('group() records several writes as one entry', () => {
+    const [todos, setTodos] = signal([])
+    const history = createHistory([todos, setTodos])
+
+    history.group(() => {
+      setTodos(list => [...list, 'a'])
+      setTodos(list => [...list, 'b'])
+    })
+    assert.deepEqual(todos(), ['a', 'b'])
+
+    history.undo()
+    assert.deepEqual(todos(), [])
+  })
+
+  await test('merges writes inside the group window', async () => {
+    const [text, setText] = signal('')
+    const history = createHistory([text, setText], { groupWindow: 20 })
+
+    setText('h')
+    setText('he')
+    setText('hey')
+    await new Promise(resolve => setTimeout(resolve, 40))
+    setText('hey!')
+
+    history.undo()
+    assert.equal(text(), 'hey')
+    history.undo()
+    assert.equal(text(), '')
+  })
+
+  await test('records pending writes in microtask mode', () => {
+    configureScheduler({ mode: 'microtask' })
+    try {
+      const [count, setCount] = signal(0)
+      const history = createHistory([count, setCount])
+
+      setCount(1)
+      history.undo()
+      assert.equal(count(), 0)
+    } finally {
+      configureScheduler({ mode: 'sync' })
+    }
+  })
+})
+
+await describe('createHistory - persisted signals', async () => {
+  await test('undo writes the restored value to storage', () => {
+    window.localStorage.clear()
+    const [cards, setCards] = createPersistedSignal('history-cards', {})
+    const history = createHistory([cards, setCards])
+
+    setCards({ a: { title: 'Card' } })
+    history.undo()
+    assert.deepEqual(cards(), {})
+    assert.equal(window.localStorage.getItem('history-cards'), '{}')
+  })
+})
+
+await describe('createHistory - stores', async () => {
+  await test('records nested store writes and undoes them', () => {
+    const [state, setState] = createStore({ todos: [{ title: 'a', done: false }], filter: 'all' })
+    const history = createHistory([state, setState])
+
+    setState('todos', 0, 'done', true)
+    setState(produce(draft => { draft.todos.push({ title: 'b', done: false }) }))
+    setState('filter', 'open')
+
+    history.undo()
+    assert.equal(state.filter, 'all')
+    history.undo()
+    assert.equal(state.todos.length, 1)
+    history.undo()
+    assert.equal(state.todos[0].done, false)
+
+    history.redo()
+    history.redo()
+    assert.deepEqual(unwrap(state), { todos: [{ title: 'a', done: true }, { title: 'b', done: false }], filter: 'all' })
+    assert.equal(history.canRedo(), true)
+  })
+
+  await test('undo only notifies readers of what changed', () => {
+    const [state, setState] = createStore({ user: { name: 'Ann' }, count: 0 })
+    const history = createHistory([state, setState])
+    let nameRuns = 0
+    effect(() => {
+      state.user.name
+      nameRuns++
+    })
+
+    setState('count', 1)
+    history.undo()
+    assert.equal(state.count, 0)
+    assert.equal(nameRuns, 1)
+  })
+
+  await test('restores removed keys and drops added ones', () => {
+    const [state, setState] = createStore({ a: 1 })
+    const history = createHistory([state, setState])
+
+    setState('a', undefined)
+    setState('b', 2)
+    history.undo()
+    history.undo()
+    assert.deepEqual(unwrap(state), { a: 1 })
+  })
+
+  await test('later writes do not change recorded entries', () => {
+    const [state, setState] = createStore({ tags: ['x'] })
+    const history = createHistory([state, setState])
+
+    setState('tags', ['x', 'y'])
+    history.undo()
+    setState(produce(draft => { draft.tags.push('z') }))
+    history.undo()
+    assert.deepEqual(unwrap(state).tags, ['x'])
+  })
+
+  await test('rejects a plain object in place of a getter', () => {
+    assert.throws(() => createHistory([{ count: 0 }, () => {}]))
+  })
+})
+
+exit()
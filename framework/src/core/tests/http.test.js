@@ -0,0 +1,187 @@
+/**
+ * Tests for http.js - async effects
+ * No DOM required - runs in pure Node.js (AbortController is built in)
+ */
+
+import { describe, test, assert, exit } from '../test-runner.js'
+import { signal, onCleanup, createRoot } from '../signal.js'
+import { asyncEffect } from '../http.js'
+
+/**
+ * Promise with its resolve/reject exposed, to finish runs on demand
+ */
+function deferred() {
+  let resolve
+  let reject
+  const promise = new Promise((res, rej) => {
+    resolve = res
+    reject = rej
+  })
+  return { promise, resolve, reject }
+}
+
+/**
+ * Let pending promise callbacks run
+ */
+function settle() {
+  return new Promise(resolve => setTimeout(resolve, 0))
+}
+
+await describe('asyncEffect - tracking and cancellation', async () => {
+  await test('re-runs when a signal read before the first await changes', async () => {
+    const [userId, setUserId] = signal(1)
+    const loaded = []
+
+    const load = asyncEffect(async () => {
+      const id = userId()
+      await settle()
+      loaded.push(id)
+    })
+
+    setUserId(2)
+    await settle()
+    await settle()
+    assert.deepEqual(loaded.sort(), [1, 2])
+    load.dispose()
+  })
+
+  await test('signals read after the first await are not tracked', async () => {
+    const [userId] = signal(1)
+    const [filter, setFilter] = signal('a')
+    let runs = 0
+
+    const load = asyncEffect(async () => {
+      runs++
+      userId()
+      await null
+      filter()
+    })
+
+    await settle()
+    setFilter('b')
+    assert.equal(runs, 1)
+    load.dispose()
+  })
+
+  await test('aborts the previous run when dependencies change', async () => {
+    const [userId, setUserId] = signal(1)
+    const signals = []
+
+    const load = asyncEffect(async (abortSignal) => {
+      userId()
+      signals.push(abortSignal)
+      await new Promise(() => {})
+    })
+
+    setUserId(2)
+    assert.equal(signals.length, 2)
+    assert.equal(signals[0].aborted, true)
+    assert.equal(signals[1].aborted, false)
+
+    load.dispose()
+    assert.equal(signals[1].aborted, true)
+  })
+
+  await test('onCleanup before the first await runs with the run', () => {
+    const [userId, setUserId] = signal(1)
+    const log = []
+
+    const load = asyncEffect(async () => {
+      const id = userId()
+      onCleanup(() => log.push(`cleanup ${id}`))
+    })
+
+    setUserId(2)
+    load.dispose()
+    assert.deepEqual(log, ['cleanup 1', 'cleanup 2'])
+  })
+})
+
+await describe('asyncEffect - pending and error', async () => {
+  await test('pending is true until the current run settles', async () => {
+    const request = deferred()
+    const load = asyncEffect(() => request.promise)
+
+    assert.equal(load.pending(), true)
+    request.resolve()
+    await settle()
+    assert.equal(load.pending(), false)
+    load.dispose()
+  })
+
+  await test('error holds the current run\'s failure', async () => {
+    const [attempt, setAttempt] = signal(1)
+    const load = asyncEffect(async () => {
+      if (attempt() === 1) throw new Error('offline')
+    })
+
+    await settle()
+    assert.equal(load.error().message, 'offline')
+    assert.equal(load.pending(), false)
+
+    setAttempt(2)
+    assert.equal(load.error(), null)
+    await settle()
+    assert.equal(load.error(), null)
+    load.dispose()
+  })
+
+  await test('a stale run never overwrites the current state', async () => {
+    const [userId, setUserId] = signal(1)
+    const requests = []
+
+    const load = asyncEffect(() => {
+      userId()
+      const request = deferred()
+      requests.push(request)
+      return request.promise
+    })
+
+    setUserId(2)
+    requests[0].reject(new Error('stale'))
+    await settle()
+    assert.equal(load.error(), null)
+    assert.equal(load.pending(), true)
+
+    requests[1].resolve()
+    await settle()
+    assert.equal(load.pending(), false)
+    load.dispose()
+  })
+
+  await test('catches errors thrown synchronously', async () => {
+    const load = asyncEffect(() => {
+      throw new Error('sync')
+    })
+
+    await settle()
+    assert.equal(load.error().message, 'sync')
+    load.dispose()
+  })
+
+  await test('disposing during a run turns pending off', async () => {
+    const request = deferred()
+    const load = asyncEffect(() => request.promise)
+    assert.equal(load.pending(), true)
+
+    load.dispose()
+    request.resolve()
+    await settle()
+    assert.equal(load.pending(), false)
+  })
+
+  await test('disposing its root during a run turns pending off', async () => {
+    const request = deferred()
+    let load
+    const dispose = createRoot((dispose) => {
+      load = asyncEffect(() => request.promise)
+      return dispose
+    })
+
+    dispose()
+    await settle()
+    assert.equal(load.pending(), false)
+  })
+})
+
+exit()
@@ -0,0 +1,202 @@
+/**
+ * Tests for interop.js - Observables, async iterators and events
+ * No DOM required - runs in pure Node.js (EventTarget is built in)
+ */
+
+import { describe, test, assert, exit } from '../test-runner.js'
+import { signal, effect, createRoot } from '../signal.js'
+import { from, toObservable, toAsyncIterator, fromEvent } from '../interop.js'
+
+/**
+ * Minimal Observable: emit() pushes to every subscriber
+ */
+function createSubject() {
+  const observers = new Set()
+  return {
+    subscribe(observer) {
+      observers.add(observer)
+      return { unsubscribe: () => observers.delete(observer) }
+    },
+    emit(value) {
+      observers.forEach(observer => observer.next(value))
+    },
+    get size() {
+      return observers.size
+    }
+  }
+}
+
+await describe('from - external sources to signals', async () => {
+  await test('follows an Observable', () => {
+    const subject = createSubject()
+    const value = from(subject, 'initial')
+    const seen = []
+    effect(() => { seen.push(value()) })
+
+    subject.emit('a')
+    subject.emit('b')
+    assert.deepEqual(seen, ['initial', 'a', 'b'])
+    value.dispose()
+  })
+
+  await test('unsubscribes when its root is disposed', () => {
+    const subject = createSubject()
+    const dispose = createRoot((dispose) => {
+      from(subject)
+      return dispose
+    })
+
+    assert.equal(subject.size, 1)
+    dispose()
+    assert.equal(subject.size, 0)
+  })
+
+  await test('subscribing does not track what the source reads', () => {
+    const [config, setConfig] = signal(1)
+    let subscriptions = 0
+    const source = {
+      subscribe(observer) {
+        subscriptions++
+        observer.next(config())
+        return () => {}
+      }
+    }
+
+    const dispose = createRoot((dispose) => {
+      effect(() => { from(source)() })
+      return dispose
+    })
+    setConfig(2)
+    assert.equal(subscriptions, 1)
+    dispose()
+  })
+
+  await test('stores emitted functions instead of calling them', () => {
+    const subject = createSubject()
+    const handler = from(subject)
+    const fn = () => 'called'
+
+    subject.emit(fn)
+    assert.equal(handler(), fn)
+    handler.dispose()
+  })
+
+  await test('reads an async iterable', async () => {
+    async function* numbers() {
+      yield 1
+      yield 2
+    }
+    const value = from(numbers(), 0)
+    await new Promise(resolve => setTimeout(resolve, 0))
+    assert.equal(value(), 2)
+  })
+
+  await test('stops iterating once disposed', async () => {
+    let finished = false
+    async function* ticks() {
+      try {
+        let i = 0
+        while (true) {
+          await new Promise(resolve => setTimeout(resolve, 1))
+          yield ++i
+        }
+      } finally {
+        finished = true
+      }
+    }
+
+    const value = from(ticks(), 0)
+    await new Promise(resolve => setTimeout(resolve, 10))
+    value.dispose()
+    const last = value()
+    await new Promise(resolve => setTimeout(resolve, 10))
+    assert.equal(value(), last)
+    assert.ok(finished)
+  })
+
+  await test('rejects other sources', () => {
+    assert.throws(() => from(42))
+  })
+})
+
+await describe('toObservable and toAsyncIterator - signals outward', async () => {
+  await test('toObservable emits the current value and changes', () => {
+    const [count, setCount] = signal(0)
+    const seen = []
+    const subscription = toObservable(count).subscribe({ next: value => seen.push(value) })
+
+    setCount(1)
+    subscription.unsubscribe()
+    setCount(2)
+    assert.deepEqual(seen, [0, 1])
+  })
+
+  await test('toObservable round-trips through from()', () => {
+    const [name, setName] = signal('a')
+    const copy = from(toObservable(name))
+
+    setName('b')
+    assert.equal(copy(), 'b')
+    copy.dispose()
+  })
+
+  await test('toAsyncIterator yields the current value, then changes', async () => {
+    const [count, setCount] = signal(0)
+    const iterator = toAsyncIterator(count)
+
+    assert.deepEqual(await iterator.next(), { value: 0, done: false })
+    setTimeout(() => setCount(1), 1)
+    assert.deepEqual(await iterator.next(), { value: 1, done: false })
+
+    // Writes made while nobody waits collapse to the latest
+    setCount(2)
+    setCount(3)
+    assert.deepEqual(await iterator.next(), { value: 3, done: false })
+
+    await iterator.return()
+    assert.deepEqual(await iterator.next(), { value: undefined, done: true })
+  })
+
+  await test('toAsyncIterator works with for await', async () => {
+    const [step, setStep] = signal(1)
+    const seen = []
+    setTimeout(() => setStep(2), 1)
+
+    for await (const value of toAsyncIterator(step)) {
+      seen.push(value)
+      if (value === 2) break
+    }
+    assert.deepEqual(seen, [1, 2])
+  })
+})
+
+await describe('fromEvent - EventTargets to signals', async () => {
+  await test('stores the mapped value of each event', () => {
+    const target = new EventTarget()
+    const lastType = fromEvent(target, 'ping', event => event.type.toUpperCase())
+    assert.equal(lastType(), undefined)
+
+    target.dispatchEvent(new Event('ping'))
+    assert.equal(lastType(), 'PING')
+    lastType.dispose()
+  })
+
+  await test('removes the listener with its owner', () => {
+    const target = new EventTarget()
+    let events = 0
+    const [enabled, setEnabled] = signal(true)
+
+    effect(() => {
+      if (!enabled()) return
+      const clicks = fromEvent(target, 'click', () => ++events)
+      clicks()
+    })
+
+    target.dispatchEvent(new Event('click'))
+    setEnabled(false)
+    target.dispatchEvent(new Event('click'))
+    assert.equal(events, 1)
+  })
+})
+
+exit()
@@ -9,8 +9,9 @@ import { describe, test, assert, exit } from '../test-runner.js'
 import './dom-setup.js'
 
 // Import after DOM is set up
-const { signal } = await import('../signal.js')
+const { signal, effect, onCleanup } = await import('../signal.js')
 const { html } = await import('../template.js')
+const { unmount } = await import('../component.js')
 const { list, each } = await import('../list.js')
 
 // Helper function to get element nodes from container
@@ -424,4 +425,80 @@ await describe('list - edge cases', async () => {
   })
 })
 
+await describe('list - item ownership', async () => {
+  await test('keeps reused items reactive across list updates', () => {
+    const container = document.createElement('div')
+    const [label, setLabel] = signal('first')
+    const [items, setItems] = signal([{ id: 1 }])
+
+    container.appendChild(list(items, item => item.id, () => html`<li>${() => label()}</li>`))
+
+    // Item 2 is created inside the list effect; both must survive later runs
+    setItems([{ id: 1 }, { id: 2 }])
+    setItems([{ id: 1 }, { id: 2 }, { id: 3 }])
+    setLabel('second')
+
+    assert.equal(getTextContent(container).join(','), 'second,second,second', 'All items still react')
+  })
+
+  await test('disposes effects of removed items', () => {
+    const container = document.createElement('div')
+    const [tick, setTick] = signal(0)
+    const [items, setItems] = signal([{ id: 1 }, { id: 2 }])
+    const runs = { 1: 0, 2: 0 }
+    const cleaned = []
+
+    container.appendChild(list(items, item => item.id, item => {
+      effect(() => {
+        tick()
+        runs[item.id]++
+      })
+      onCleanup(() => cleaned.push(item.id))
+      return html`<li>${item.id}</li>`
+    }))
+
+    setItems([{ id: 1 }])
+    assert.deepEqual(cleaned, [2], 'Removed item cleaned up')
+
+    setTick(1)
+    assert.equal(runs[1], 2, 'Remaining item still reacts')
+    assert.equal(runs[2], 1, 'Removed item no longer reacts')
+  })
+
+  await test('stops template bindings of removed items', () => {
+    const container = document.createElement('div')
+    const [label, setLabel] = signal('a')
+    const [items, setItems] = signal([{ id: 1 }, { id: 2 }])
+    let reads = 0
+
+    container.appendChild(list(items, item => item.id, item => html`
+      <li title="${() => label()}">${() => { reads++; return label() }}</li>
+    `))
+
+    setItems([{ id: 1 }])
+    reads = 0
+    setLabel('b')
+    assert.equal(reads, 1, 'Only the remaining item re-renders')
+  })
+
+  await test('unmount tears down a list nothing owns', () => {
+    const container = document.createElement('div')
+    const [items, setItems] = signal([{ id: 1 }])
+    const [label, setLabel] = signal('a')
+    let renders = 0
+    let reads = 0
+
+    container.appendChild(list(items, item => item.id, () => {
+      renders++
+      return html`<li>${() => { reads++; return label() }}</li>`
+    }))
+
+    unmount(container)
+    setItems([{ id: 1 }, { id: 2 }])
+    setLabel('b')
+    assert.equal(renders, 1, 'List stopped reconciling')
+    assert.equal(reads, 1, 'Item bindings stopped')
+  })
+})
+
 exit()
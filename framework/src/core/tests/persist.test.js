@@ -0,0 +1,411 @@
+/**
+ * Tests for persist.js - persisted signals
+ * Requires window.localStorage - uses happy-dom
+ */
+
+import { window } from './dom-setup.js'
+import { describe, test, assert, exit } from '../test-runner.js'
+
+// Import after window is set up
+const { effect, createRoot } = await import('../signal.js')
+const {
+  createPersistedSignal,
+  memoryAdapter,
+  sessionStorageAdapter,
+  richJsonSerializer
+} = await import('../persist.js')
+
+/**
+ * Simulate another tab writing localStorage
+ */
+function writeFromOtherTab(key, value) {
+  const newValue = value === null ? null : JSON.stringify(value)
+  if (newValue === null) {
+    window.localStorage.removeItem(key)
+  } else {
+    window.localStorage.setItem(key, newValue)
+  }
+  window.dispatchEvent(new window.StorageEvent('storage', {
+    key,
+    newValue,
+    storageArea: window.localStorage
+  }))
+}
+
+/**
+ * Memory adapter whose reads and writes resolve later, like IndexedDB
+ */
+function asyncMemoryAdapter(initial) {
+  const memory = memoryAdapter(initial)
+  const later = (fn) => new Promise(resolve => setTimeout(() => resolve(fn()), 5))
+  return {
+    async: true,
+    data: memory.data,
+    getItem: (key) => later(() => memory.getItem(key)),
+    setItem: (key, value) => later(() => memory.setItem(key, value)),
+    removeItem: (key) => later(() => memory.removeItem(key))
+  }
+}
+
+/**
+ * Wait for BroadcastChannel messages to be delivered
+ */
+function nextMessages() {
+  return new Promise(resolve => setTimeout(resolve, 20))
+}
+
+await describe('createPersistedSignal - storage', async () => {
+  await test('falls back to the default value', () => {
+    window.localStorage.clear()
+    const [theme] = createPersistedSignal('theme', 'light')
+    assert.equal(theme(), 'light')
+  })
+
+  await test('saves writes and restores them', () => {
+    window.localStorage.clear()
+    const [, setCount] = createPersistedSignal('count', 0)
+    setCount(n => n + 5)
+    assert.equal(window.localStorage.getItem('count'), '5')
+
+    const [count] = createPersistedSignal('count', 0)
+    assert.equal(count(), 5)
+  })
+
+  await test('uses the default value when stored data is corrupt', () => {
+    window.localStorage.setItem('broken', '{not json')
+    const originalWarn = console.warn
+    console.warn = () => {}
+    try {
+      const [value] = createPersistedSignal('broken', [])
+      assert.deepEqual(value(), [])
+    } finally {
+      console.warn = originalWarn
+    }
+  })
+})
+
+await describe('createPersistedSignal - storage adapters', async () => {
+  await test('reads and writes a memory adapter', () => {
+    const storage = memoryAdapter({ count: '2' })
+    const [count, setCount] = createPersistedSignal('count', 0, { storage })
+    assert.equal(count(), 2)
+
+    setCount(3)
+    assert.equal(storage.data.get('count'), '3')
+  })
+
+  await test('uses sessionStorage through its adapter', () => {
+    window.sessionStorage.clear()
+    const [, setDraft] = createPersistedSignal('draft', '', { storage: sessionStorageAdapter() })
+    setDraft('hello')
+    assert.equal(window.sessionStorage.getItem('draft'), '"hello"')
+  })
+
+  await test('sync adapters are hydrated immediately', () => {
+    const [value] = createPersistedSignal('x', 1, { storage: memoryAdapter() })
+    assert.equal(value.hydrated(), true)
+  })
+
+  await test('async adapters load after hydrated() turns true', async () => {
+    const storage = asyncMemoryAdapter({ expenses: '[1,2]' })
+    const [expenses] = createPersistedSignal('expenses', [], { storage })
+    const seen = []
+    effect(() => { seen.push(`${expenses.hydrated()}:${expenses().length}`) })
+
+    assert.deepEqual(seen, ['false:0'])
+    await new Promise(resolve => setTimeout(resolve, 20))
+    assert.deepEqual(seen, ['false:0', 'false:2', 'true:2'])
+  })
+
+  await test('a write before hydration wins over stored data', async () => {
+    const storage = asyncMemoryAdapter({ name: '"stored"' })
+    const [name, setName] = createPersistedSignal('name', '', { storage })
+    setName('typed')
+
+    await new Promise(resolve => setTimeout(resolve, 20))
+    assert.equal(name(), 'typed')
+    assert.equal(storage.data.get('name'), '"typed"')
+  })
+
+  await test('keeps Dates, Maps and Sets with the rich serializer', () => {
+    const storage = memoryAdapter()
+    const options = { storage, serializer: richJsonSerializer }
+    const [, setState] = createPersistedSignal('state', null, options)
+    setState({
+      created: new Date('2024-01-02T03:04:05.000Z'),
+      totals: new Map([['food', 12]]),
+      tags: new Set(['a'])
+    })
+
+    const [state] = createPersistedSignal('state', null, options)
+    assert.ok(state().created instanceof Date)
+    assert.equal(state().created.toISOString(), '2024-01-02T03:04:05.000Z')
+    assert.equal(state().totals.get('food'), 12)
+    assert.ok(state().tags.has('a'))
+  })
+})
+
+await describe('createPersistedSignal - versions and validation', async () => {
+  await test('migrates unversioned data step by step', () => {
+    const storage = memoryAdapter({ columns: '[{"id":"todo"}]' })
+    const [columns] = createPersistedSignal('columns', [], {
+      storage,
+      version: 2,
+      migrations: {
+        1: (columns) => columns.map(column => ({ ...column, cardIds: [] })),
+        2: (columns) => columns.map(column => ({ ...column, title: column.id }))
+      }
+    })
+
+    assert.deepEqual(columns(), [{ id: 'todo', cardIds: [], title: 'todo' }])
+    // Saved back in the new shape
+    const saved = JSON.parse(storage.data.get('columns'))
+    assert.equal(saved.$version, 2)
+    assert.deepEqual(saved.value, columns())
+  })
+
+  await test('only runs migrations newer than the stored version', () => {
+    const storage = memoryAdapter({ count: '{"$version":1,"$expires":null,"value":5}' })
+    const ran = []
+    const [count] = createPersistedSignal('count', 0, {
+      storage,
+      version: 2,
+      migrations: {
+        1: (n) => { ran.push(1); return n },
+        2: (n) => { ran.push(2); return n * 10 }
+      }
+    })
+
+    assert.equal(count(), 50)
+    assert.deepEqual(ran, [2])
+  })
+
+  await test('falls back to the default when validation fails', () => {
+    const storage = memoryAdapter({ settings: '{"currency":42}' })
+    const originalWarn = console.warn
+    console.warn = () => {}
+    try {
+      const [settings] = createPersistedSignal('settings', { currency: 'USD' }, {
+        storage,
+        validate: (value) => typeof value.currency === 'string'
+      })
+      assert.deepEqual(settings(), { currency: 'USD' })
+    } finally {
+      console.warn = originalWarn
+    }
+  })
+
+  await test('ignores data from a newer version', () => {
+    const storage = memoryAdapter({ state: '{"$version":3,"$expires":null,"value":"future"}' })
+    const originalWarn = console.warn
+    console.warn = () => {}
+    try {
+      const [state] = createPersistedSignal('state', 'default', { storage, version: 2 })
+      assert.equal(state(), 'default')
+    } finally {
+      console.warn = originalWarn
+    }
+  })
+
+  await test('expires values older than the ttl', () => {
+    const storage = memoryAdapter()
+    const [, setToken] = createPersistedSignal('cache', null, { storage, ttl: 1000 })
+    setToken('fresh')
+
+    const [cached] = createPersistedSignal('cache', null, { storage, ttl: 1000 })
+    assert.equal(cached(), 'fresh')
+
+    const saved = JSON.parse(storage.data.get('cache'))
+    saved.$expires = Date.now() - 1
+    storage.data.set('cache', JSON.stringify(saved))
+
+    const [expired] = createPersistedSignal('cache', null, { storage, ttl: 1000 })
+    assert.equal(expired(), null)
+    assert.equal(storage.data.has('cache'), false)
+  })
+})
+
+await describe('createPersistedSignal - throttled saves', async () => {
+  await test('debounce coalesces a burst of writes into one save', async () => {
+    const storage = memoryAdapter()
+    let saves = 0
+    const setItem = storage.setItem
+    storage.setItem = (key, value) => { saves++; setItem(key, value) }
+
+    const [query, setQuery] = createPersistedSignal('query', '', { storage, debounce: 10 })
+    setQuery('a')
+    setQuery('ab')
+    setQuery('abc')
+    assert.equal(query(), 'abc')
+    assert.equal(saves, 0)
+
+    await new Promise(resolve => setTimeout(resolve, 30))
+    assert.equal(saves, 1)
+    assert.equal(storage.data.get('query'), '"abc"')
+    query.dispose()
+  })
+
+  await test('maxWait saves during a steady stream of writes', async () => {
+    const storage = memoryAdapter()
+    const [position, setPosition] = createPersistedSignal('position', 0, { storage, debounce: 20, maxWait: 30 })
+
+    for (let i = 1; i <= 5; i++) {
+      setPosition(i)
+      await new Promise(resolve => setTimeout(resolve, 10))
+    }
+    assert.ok(storage.data.has('position'))
+    assert.ok(Number(storage.data.get('position')) < 5)
+
+    await new Promise(resolve => setTimeout(resolve, 30))
+    assert.equal(storage.data.get('position'), '5')
+    position.dispose()
+  })
+
+  await test('flush() saves immediately', () => {
+    const storage = memoryAdapter()
+    const [total, setTotal] = createPersistedSignal('total', 0, { storage, debounce: 1000 })
+    setTotal(42)
+    assert.equal(storage.data.has('total'), false)
+
+    total.flush()
+    assert.equal(storage.data.get('total'), '42')
+    total.dispose()
+  })
+
+  await test('saves pending writes on pagehide', () => {
+    const storage = memoryAdapter()
+    const [draft, setDraft] = createPersistedSignal('draft', '', { storage, debounce: 1000 })
+    setDraft('unsaved')
+
+    window.dispatchEvent(new window.Event('pagehide'))
+    assert.equal(storage.data.get('draft'), '"unsaved"')
+    draft.dispose()
+  })
+})
+
+await describe('createPersistedSignal - cross-tab sync', async () => {
+  await test('ignores other tabs unless sync is enabled', () => {
+    window.localStorage.clear()
+    const [items] = createPersistedSignal('items', [])
+    writeFromOtherTab('items', ['a'])
+    assert.deepEqual(items(), [])
+  })
+
+  await test('picks up storage events for the same key', () => {
+    window.localStorage.clear()
+    const [items] = createPersistedSignal('items', [], { sync: true })
+    const seen = []
+    effect(() => { seen.push(items().length) })
+
+    writeFromOtherTab('other-key', ['x'])
+    writeFromOtherTab('items', ['a', 'b'])
+    assert.deepEqual(items(), ['a', 'b'])
+    assert.deepEqual(seen, [0, 2])
+    items.dispose()
+  })
+
+  await test('resets to the default when another tab removes the key', () => {
+    window.localStorage.clear()
+    const [theme, setTheme] = createPersistedSignal('theme', 'light', { sync: true })
+    setTheme('dark')
+    writeFromOtherTab('theme', null)
+    assert.equal(theme(), 'light')
+    theme.dispose()
+  })
+
+  await test('merges remote values with a conflict function', () => {
+    window.localStorage.clear()
+    const [tags, setTags] = createPersistedSignal('tags', [], {
+      sync: true,
+      conflict: (local, remote) => Array.from(new Set([...local, ...remote]))
+    })
+    setTags(['local'])
+    writeFromOtherTab('tags', ['remote'])
+
+    assert.deepEqual(tags(), ['local', 'remote'])
+    assert.equal(window.localStorage.getItem('tags'), '["local","remote"]')
+    tags.dispose()
+  })
+
+  await test('a value from another tab replaces a pending debounced save', async () => {
+    window.localStorage.clear()
+    const [value, setValue] = createPersistedSignal('draft-sync', '', { sync: true, debounce: 10 })
+    setValue('local')
+    writeFromOtherTab('draft-sync', 'remote')
+
+    await new Promise(resolve => setTimeout(resolve, 30))
+    assert.equal(value(), 'remote')
+    assert.equal(window.localStorage.getItem('draft-sync'), '"remote"')
+    value.dispose()
+  })
+
+  await test('a pending debounced save keeps the merged value', async () => {
+    window.localStorage.clear()
+    const [tags, setTags] = createPersistedSignal('tags-sync', [], {
+      sync: true,
+      debounce: 10,
+      conflict: (local, remote) => Array.from(new Set([...remote, ...local]))
+    })
+    // The merge equals the remote value, so nothing new is published
+    setTags(['remote'])
+    writeFromOtherTab('tags-sync', ['remote', 'other'])
+
+    await new Promise(resolve => setTimeout(resolve, 30))
+    assert.deepEqual(tags(), ['remote', 'other'])
+    assert.equal(window.localStorage.getItem('tags-sync'), '["remote","other"]')
+    tags.dispose()
+  })
+
+  await test('stops listening once disposed with its root', () => {
+    window.localStorage.clear()
+    let read
+    const dispose = createRoot((dispose) => {
+      [read] = createPersistedSignal('note', '', { sync: true })
+      return dispose
+    })
+
+    dispose()
+    writeFromOtherTab('note', 'changed')
+    assert.equal(read(), '')
+  })
+
+  await test('syncs through a BroadcastChannel', async () => {
+    window.localStorage.clear()
+    const [first, setFirst] = createPersistedSignal('shared', 0, { sync: 'broadcast' })
+    const [second] = createPersistedSignal('shared', 0, { sync: 'broadcast' })
+
+    try {
+      setFirst(3)
+      await nextMessages()
+      assert.equal(second(), 3)
+    } finally {
+      first.dispose()
+      second.dispose()
+    }
+  })
+
+  await test('last write wins over older channel messages', async () => {
+    window.localStorage.clear()
+    const [first, setFirst] = createPersistedSignal('race', 0, { sync: 'broadcast' })
+    const [second, setSecond] = createPersistedSignal('race', 0, { sync: 'broadcast' })
+
+    try {
+      setFirst(1)
+      // Written after the first tab, before its message arrives
+      await new Promise(resolve => setTimeout(resolve, 2))
+      setSecond(2)
+      await nextMessages()
+      assert.equal(first(), 2)
+      assert.equal(second(), 2)
+    } finally {
+      first.dispose()
+      second.dispose()
+    }
+  })
+
+  await test('rejects unknown sync modes', () => {
+    assert.throws(() => createPersistedSignal('x', 0, { sync: 'telepathy' }))
+  })
+})
+
+exit()
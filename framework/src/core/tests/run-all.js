@@ -12,6 +12,15 @@ const __dirname = dirname(fileURLToPath(import.meta.url))
 
 const testFiles = [
   'signal.test.js',
+  'persist.test.js',
+  'store.test.js',
+  'collections.test.js',
+  'history.test.js',
+  'interop.test.js',
+  'time.test.js',
+  'form.test.js',
+  'http.test.js',
+  'worker.test.js',
   'template.test.js',
   'router.test.js',
   'list.test.js'
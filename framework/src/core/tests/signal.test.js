@@ -4,7 +4,29 @@
  */
 
 import { describe, test, assert, exit } from '../test-runner.js'
-import { signal, effect, computed } from '../signal.js'
+import {
+  signal,
+  effect,
+  computed,
+  batch,
+  untrack,
+  onCleanup,
+  disposeWithOwner,
+  createRoot,
+  getOwner,
+  runWithOwner,
+  shallowEqual,
+  flushSync,
+  configureScheduler,
+  createSelector,
+  on,
+  watch,
+  catchError,
+  onError,
+  setErrorHandler,
+  configureDevMode,
+  getGraph
+} from '../signal.js'
 
 await describe('signal - basic functionality', async () => {
   await test('creates a signal with initial value', () => {
@@ -158,4 +180,1133 @@ await describe('computed - derived values', async () => {
   })
 })
 
+await describe('computed - glitch-free propagation', async () => {
+  await test('diamond dependency runs the effect once with consistent values', () => {
+    const [a, setA] = signal(1)
+    const b = computed(() => a() * 2)
+    const c = computed(() => a() * 3)
+    const seen = []
+
+    effect(() => {
+      seen.push([a(), b(), c()])
+    })
+
+    setA(2)
+    assert.deepEqual(seen, [[1, 2, 3], [2, 4, 6]])
+  })
+
+  await test('diamond of computeds evaluates the bottom once per change', () => {
+    const [a, setA] = signal(1)
+    const b = computed(() => a() + 1)
+    const c = computed(() => a() - 1)
+    let evaluations = 0
+    const d = computed(() => {
+      evaluations++
+      return b() + c()
+    })
+
+    effect(() => d())
+    assert.equal(evaluations, 1)
+
+    setA(5)
+    assert.equal(evaluations, 2)
+    assert.equal(d(), 10)
+  })
+
+  await test('is lazy: does not evaluate until read', () => {
+    const [a, setA] = signal(1)
+    let evaluations = 0
+    const doubled = computed(() => {
+      evaluations++
+      return a() * 2
+    })
+
+    assert.equal(evaluations, 0)
+    assert.equal(doubled(), 2)
+    assert.equal(evaluations, 1)
+
+    setA(2)
+    setA(3)
+    assert.equal(evaluations, 1, 'Unread computed should not recompute')
+
+    assert.equal(doubled(), 6)
+    assert.equal(evaluations, 2)
+  })
+
+  await test('caches the value between reads', () => {
+    const [a] = signal(1)
+    let evaluations = 0
+    const doubled = computed(() => {
+      evaluations++
+      return a() * 2
+    })
+
+    doubled()
+    doubled()
+    doubled()
+    assert.equal(evaluations, 1)
+  })
+
+  await test('skips downstream effects when the computed value is unchanged', () => {
+    const [n, setN] = signal(2)
+    const isEven = computed(() => n() % 2 === 0)
+    let runs = 0
+
+    effect(() => {
+      isEven()
+      runs++
+    })
+
+    setN(4)
+    assert.equal(runs, 1, 'isEven stayed true, effect should not re-run')
+
+    setN(5)
+    assert.equal(runs, 2)
+  })
+
+  await test('stops recomputing once it has no readers', () => {
+    const [a, setA] = signal(1)
+    let evaluations = 0
+    const doubled = computed(() => {
+      evaluations++
+      return a() * 2
+    })
+
+    const dispose = effect(() => doubled())
+    assert.equal(evaluations, 1)
+
+    dispose()
+    setA(2)
+    setA(3)
+    assert.equal(evaluations, 1)
+  })
+
+  await test('reads inside a batch see up-to-date computed values', () => {
+    const [a, setA] = signal(1)
+    const doubled = computed(() => a() * 2)
+
+    batch(() => {
+      setA(5)
+      assert.equal(doubled(), 10)
+    })
+  })
+
+  await test('parent effects re-run before their children', () => {
+    const [items, setItems] = signal(['a'])
+    const log = []
+
+    effect(() => {
+      const current = items()
+      current.forEach(item => {
+        effect(() => {
+          log.push(`${item}:${items().includes(item)}`)
+        })
+      })
+    })
+
+    log.length = 0
+    setItems(['b'])
+    assert.deepEqual(log, ['b:true'], 'Stale child for "a" should be disposed, not run')
+  })
+
+  await test('an effect that throws still reacts to later changes', () => {
+    const [n, setN] = signal(0)
+    let runs = 0
+
+    effect(() => {
+      runs++
+      if (n() === 1) throw new Error('boom')
+    })
+
+    try {
+      setN(1)
+    } catch (e) {
+      // expected
+    }
+
+    setN(2)
+    assert.equal(runs, 3)
+  })
+})
+
+await describe('equality - custom equals option', async () => {
+  await test('signal with a comparator skips equal writes', () => {
+    const [point, setPoint] = signal({ x: 1, y: 2 }, { equals: shallowEqual })
+    let runs = 0
+
+    effect(() => {
+      point()
+      runs++
+    })
+
+    setPoint({ x: 1, y: 2 })
+    assert.equal(runs, 1, 'Structurally equal object should not notify')
+
+    setPoint({ x: 2, y: 2 })
+    assert.equal(runs, 2)
+  })
+
+  await test('equals: false notifies on every write, even the same reference', () => {
+    const [items, setItems] = signal([], { equals: false })
+    let runs = 0
+
+    effect(() => {
+      items()
+      runs++
+    })
+
+    setItems(list => {
+      list.push(1)
+      return list
+    })
+    assert.equal(runs, 2)
+    assert.equal(items().length, 1)
+  })
+
+  await test('computed with a comparator keeps the previous value', () => {
+    const [numbers, setNumbers] = signal([1, 2, 3, 4])
+    const evens = computed(() => numbers().filter(n => n % 2 === 0), { equals: shallowEqual })
+    let runs = 0
+
+    effect(() => {
+      evens()
+      runs++
+    })
+
+    const first = evens()
+    setNumbers([1, 2, 3, 4, 5])
+    assert.equal(runs, 1, 'Same filtered result should not re-run readers')
+    assert.equal(evens(), first, 'Previous array instance is kept')
+
+    setNumbers([2, 4, 6])
+    assert.equal(runs, 2)
+  })
+
+  await test('computed comparator is not called before the first value', () => {
+    const [a] = signal(1)
+    const calls = []
+    const c = computed(() => a(), {
+      equals: (prev, next) => {
+        calls.push([prev, next])
+        return prev === next
+      }
+    })
+
+    assert.equal(c(), 1)
+    assert.equal(calls.length, 0)
+  })
+
+  await test('shallowEqual compares arrays and plain objects one level deep', () => {
+    const shared = { id: 1 }
+    assert.ok(shallowEqual([shared, 2], [shared, 2]))
+    assert.ok(!shallowEqual([{ id: 1 }], [{ id: 1 }]))
+    assert.ok(shallowEqual({ a: 1, b: shared }, { a: 1, b: shared }))
+    assert.ok(!shallowEqual({ a: 1 }, { a: 1, b: undefined }))
+    assert.ok(!shallowEqual([1], { 0: 1 }))
+    assert.ok(shallowEqual(NaN, NaN))
+    assert.ok(!shallowEqual(null, {}))
+  })
+})
+
+await describe('batch - grouped updates', async () => {
+  await test('runs effect once for multiple writes', () => {
+    const [a, setA] = signal(1)
+    const [b, setB] = signal(2)
+    const seen = []
+
+    effect(() => {
+      seen.push(a() + b())
+    })
+
+    batch(() => {
+      setA(10)
+      setB(20)
+    })
+
+    assert.deepEqual(seen, [3, 30])
+  })
+
+  await test('effects see final values, never intermediate state', () => {
+    const [cardColumn, setCardColumn] = signal('todo')
+    const [columnCards, setColumnCards] = signal({ todo: ['c1'], done: [] })
+    let consistent = true
+
+    effect(() => {
+      const column = cardColumn()
+      if (!columnCards()[column].includes('c1')) {
+        consistent = false
+      }
+    })
+
+    batch(() => {
+      setCardColumn('done')
+      setColumnCards({ todo: [], done: ['c1'] })
+    })
+
+    assert.ok(consistent, 'Effect should never observe a half-applied move')
+  })
+
+  await test('nested batches defer until the outermost finishes', () => {
+    const [count, setCount] = signal(0)
+    let runs = 0
+
+    effect(() => {
+      count()
+      runs++
+    })
+
+    batch(() => {
+      setCount(1)
+      batch(() => {
+        setCount(2)
+      })
+      assert.equal(runs, 1, 'Inner batch should not flush')
+      setCount(3)
+    })
+
+    assert.equal(runs, 2)
+    assert.equal(count(), 3)
+  })
+
+  await test('reads inside a batch return the latest value', () => {
+    const [count, setCount] = signal(0)
+    batch(() => {
+      setCount(5)
+      assert.equal(count(), 5)
+    })
+  })
+
+  await test('returns the value of the batched function', () => {
+    const result = batch(() => 42)
+    assert.equal(result, 42)
+  })
+
+  await test('flushes pending effects even if the function throws', () => {
+    const [count, setCount] = signal(0)
+    let value = null
+
+    effect(() => {
+      value = count()
+    })
+
+    try {
+      batch(() => {
+        setCount(7)
+        throw new Error('boom')
+      })
+    } catch (e) {
+      // expected
+    }
+
+    assert.equal(value, 7)
+  })
+
+  await test('does not run effects disposed during the batch', () => {
+    const [count, setCount] = signal(0)
+    let runs = 0
+
+    const dispose = effect(() => {
+      count()
+      runs++
+    })
+
+    batch(() => {
+      setCount(1)
+      dispose()
+    })
+
+    assert.equal(runs, 1)
+  })
+})
+
+await describe('untrack and peek - reading without subscribing', async () => {
+  await test('untrack reads without creating a dependency', () => {
+    const [a, setA] = signal(1)
+    const [b, setB] = signal(2)
+    let runs = 0
+    let sum = 0
+
+    effect(() => {
+      sum = a() + untrack(() => b())
+      runs++
+    })
+
+    setB(10)
+    assert.equal(runs, 1, 'Writing an untracked signal should not re-run the effect')
+
+    setA(5)
+    assert.equal(runs, 2)
+    assert.equal(sum, 15)
+  })
+
+  await test('untrack returns the value of the function', () => {
+    const [count] = signal(3)
+    assert.equal(untrack(() => count() * 2), 6)
+  })
+
+  await test('tracking resumes after untrack', () => {
+    const [a, setA] = signal(1)
+    const [b, setB] = signal(1)
+    let runs = 0
+
+    effect(() => {
+      untrack(() => a())
+      b()
+      runs++
+    })
+
+    setB(2)
+    assert.equal(runs, 2)
+  })
+
+  await test('signal peek reads the value without subscribing', () => {
+    const [count, setCount] = signal(0)
+    let runs = 0
+
+    effect(() => {
+      count.peek()
+      runs++
+    })
+
+    setCount(1)
+    assert.equal(runs, 1)
+    assert.equal(count.peek(), 1)
+  })
+
+  await test('computed peek reads the value without subscribing', () => {
+    const [count, setCount] = signal(2)
+    const doubled = computed(() => count() * 2)
+    let runs = 0
+    let seen = null
+
+    effect(() => {
+      seen = doubled.peek()
+      runs++
+    })
+
+    setCount(3)
+    assert.equal(runs, 1)
+    assert.equal(seen, 4)
+    assert.equal(doubled.peek(), 6)
+  })
+})
+
+await describe('effect cleanup - teardown between runs', async () => {
+  await test('runs returned cleanup before the next run', () => {
+    const [count, setCount] = signal(0)
+    const log = []
+
+    effect(() => {
+      const value = count()
+      log.push(`run ${value}`)
+      return () => log.push(`cleanup ${value}`)
+    })
+
+    setCount(1)
+    assert.deepEqual(log, ['run 0', 'cleanup 0', 'run 1'])
+  })
+
+  await test('runs cleanup on dispose', () => {
+    const [count, setCount] = signal(0)
+    let cleaned = 0
+
+    const dispose = effect(() => {
+      count()
+      return () => cleaned++
+    })
+
+    dispose()
+    assert.equal(cleaned, 1)
+
+    setCount(1)
+    assert.equal(cleaned, 1, 'Disposed effect should not run or clean up again')
+
+    dispose()
+    assert.equal(cleaned, 1, 'Disposing twice should be a no-op')
+  })
+
+  await test('onCleanup callbacks run in reverse registration order', () => {
+    const [count, setCount] = signal(0)
+    const log = []
+
+    effect(() => {
+      count()
+      onCleanup(() => log.push('first'))
+      onCleanup(() => log.push('second'))
+      return () => log.push('returned')
+    })
+
+    setCount(1)
+    assert.deepEqual(log, ['returned', 'second', 'first'])
+  })
+
+  await test('disposeWithOwner runs with its root and is quiet at top level', () => {
+    const log = []
+    const dispose = createRoot((dispose) => {
+      disposeWithOwner(() => log.push('disposed'))
+      return dispose
+    })
+    disposeWithOwner(() => log.push('never'))
+
+    assert.deepEqual(log, [])
+    dispose()
+    assert.deepEqual(log, ['disposed'])
+  })
+
+  await test('onCleanup works inside untrack', () => {
+    const [count, setCount] = signal(0)
+    let cleaned = false
+
+    effect(() => {
+      count()
+      untrack(() => onCleanup(() => { cleaned = true }))
+    })
+
+    setCount(1)
+    assert.ok(cleaned)
+  })
+
+  await test('cleanup reads do not subscribe', () => {
+    const [count, setCount] = signal(0)
+    const [other, setOther] = signal(0)
+    let runs = 0
+
+    effect(() => {
+      count()
+      runs++
+      onCleanup(() => other())
+    })
+
+    setCount(1)
+    setOther(1)
+    assert.equal(runs, 2)
+  })
+})
+
+await describe('ownership - roots and nested disposal', async () => {
+  await test('nested effects are disposed when the parent re-runs', () => {
+    const [outer, setOuter] = signal(0)
+    const [inner, setInner] = signal(0)
+    let innerRuns = 0
+
+    effect(() => {
+      outer()
+      effect(() => {
+        inner()
+        innerRuns++
+      })
+    })
+
+    assert.equal(innerRuns, 1)
+
+    setOuter(1)
+    assert.equal(innerRuns, 2, 'Parent re-run creates a fresh child')
+
+    setInner(1)
+    assert.equal(innerRuns, 3, 'Only the current child should react')
+  })
+
+  await test('disposing a parent disposes its children and their cleanups', () => {
+    const [count, setCount] = signal(0)
+    const log = []
+    let childRuns = 0
+
+    const dispose = effect(() => {
+      effect(() => {
+        count()
+        childRuns++
+        onCleanup(() => log.push('child'))
+      })
+      onCleanup(() => log.push('parent'))
+    })
+
+    dispose()
+    assert.deepEqual(log, ['child', 'parent'], 'Children tear down before the parent')
+
+    setCount(1)
+    assert.equal(childRuns, 1)
+  })
+
+  await test('createRoot disposes everything created inside it', () => {
+    const [count, setCount] = signal(0)
+    let runs = 0
+    let cleaned = false
+
+    const dispose = createRoot(dispose => {
+      effect(() => {
+        count()
+        runs++
+      })
+      computed(() => count() * 2)
+      onCleanup(() => { cleaned = true })
+      return dispose
+    })
+
+    setCount(1)
+    assert.equal(runs, 2)
+
+    dispose()
+    assert.ok(cleaned)
+
+    setCount(2)
+    assert.equal(runs, 2)
+  })
+
+  await test('createRoot returns the value of fn and is not tracked', () => {
+    const [count, setCount] = signal(0)
+    let outerRuns = 0
+
+    effect(() => {
+      outerRuns++
+      createRoot(() => count())
+    })
+
+    setCount(1)
+    assert.equal(outerRuns, 1)
+    assert.equal(createRoot(() => 'value'), 'value')
+  })
+
+  await test('roots survive re-runs of the effect that created them', () => {
+    const [outer, setOuter] = signal(0)
+    const [inner, setInner] = signal(0)
+    let innerRuns = 0
+
+    effect(() => {
+      if (outer() === 0) {
+        createRoot(() => {
+          effect(() => {
+            inner()
+            innerRuns++
+          })
+        })
+      }
+    })
+
+    setOuter(1)
+    setInner(1)
+    assert.equal(innerRuns, 2)
+  })
+
+  await test('getOwner and runWithOwner attach later effects to an owner', () => {
+    const [count, setCount] = signal(0)
+    let runs = 0
+    let owner = null
+
+    const dispose = createRoot(dispose => {
+      owner = getOwner()
+      return dispose
+    })
+
+    assert.equal(getOwner(), null)
+
+    runWithOwner(owner, () => {
+      effect(() => {
+        count()
+        runs++
+      })
+    })
+
+    dispose()
+    setCount(1)
+    assert.equal(runs, 1)
+  })
+})
+
+await describe('scheduler - queued effects', async () => {
+  await test('an effect writing its own dependency re-runs after it finishes', () => {
+    const [count, setCount] = signal(0)
+    const seen = []
+
+    effect(() => {
+      const value = count()
+      seen.push(value)
+      // Clamp: writes back into the signal this effect reads
+      if (value > 10) setCount(10)
+    })
+
+    setCount(15)
+    assert.deepEqual(seen, [0, 15, 10])
+    assert.equal(count(), 10)
+  })
+
+  await test('writes inside an effect reach other effects after it finishes', () => {
+    const [source, setSource] = signal(1)
+    const [mirror, setMirror] = signal(1)
+    const log = []
+
+    effect(() => {
+      setMirror(source() * 10)
+      log.push('writer done')
+    })
+
+    effect(() => {
+      log.push(`mirror ${mirror()}`)
+    })
+
+    log.length = 0
+    setSource(2)
+    assert.deepEqual(log, ['writer done', 'mirror 20'])
+  })
+
+  await test('reports a runaway loop with the signals involved', () => {
+    const [count, setCount] = signal(0)
+    let error = null
+
+    try {
+      effect(() => {
+        setCount(count() + 1)
+      })
+    } catch (e) {
+      error = e
+    }
+
+    assert.ok(error, 'Expected an infinite loop error')
+    assert.ok(error.message.includes('infinite loop'), error.message)
+    assert.ok(/signal#\d+/.test(error.message), 'Message should name the written signal')
+
+    // The scheduler recovers: later effects still run
+    const [other, setOther] = signal(0)
+    let seen = null
+    effect(() => { seen = other() })
+    setOther(1)
+    assert.equal(seen, 1)
+  })
+
+  await test('the runaway effect reacts again once its loop is fixed', () => {
+    const [count, setCount] = signal(0)
+    const [looping, setLooping] = signal(true)
+    let runs = 0
+
+    try {
+      effect(() => {
+        runs++
+        const value = count()
+        if (looping()) setCount(value + 1)
+      })
+    } catch (e) {
+      // expected: the loop is reported
+    }
+
+    setLooping(false)
+    runs = 0
+    setCount(100)
+    assert.ok(runs > 0, 'Effect should run again after the loop error')
+    assert.equal(count(), 100)
+  })
+
+  await test('microtask mode coalesces writes until the microtask runs', async () => {
+    configureScheduler({ mode: 'microtask' })
+    try {
+      const [count, setCount] = signal(0)
+      const seen = []
+
+      effect(() => {
+        seen.push(count())
+      })
+
+      setCount(1)
+      setCount(2)
+      assert.deepEqual(seen, [0], 'Effects wait for the microtask')
+
+      await Promise.resolve()
+      assert.deepEqual(seen, [0, 2])
+    } finally {
+      configureScheduler({ mode: 'sync' })
+    }
+  })
+
+  await test('flushSync runs pending effects immediately', () => {
+    configureScheduler({ mode: 'microtask' })
+    try {
+      const [count, setCount] = signal(0)
+      let seen = null
+
+      effect(() => {
+        seen = count()
+      })
+
+      setCount(5)
+      assert.equal(seen, 0)
+
+      flushSync()
+      assert.equal(seen, 5)
+    } finally {
+      configureScheduler({ mode: 'sync' })
+    }
+  })
+
+  await test('rejects unknown scheduler modes', () => {
+    assert.throws(() => configureScheduler({ mode: 'later' }))
+  })
+})
+
+await describe('createSelector - keyed selection', async () => {
+  await test('re-runs only the previous and the new key', () => {
+    const [selected, setSelected] = signal(1)
+    const isSelected = createSelector(selected)
+    const runs = [0, 0, 0, 0]
+    const states = []
+
+    for (let id = 0; id < 4; id++) {
+      effect(() => {
+        states[id] = isSelected(id)
+        runs[id]++
+      })
+    }
+    assert.deepEqual(states, [false, true, false, false])
+
+    setSelected(3)
+    assert.deepEqual(states, [false, false, false, true])
+    assert.deepEqual(runs, [1, 2, 1, 2])
+  })
+
+  await test('accepts a custom match function', () => {
+    const [range, setRange] = signal(2)
+    const isBelow = createSelector(range, (key, value) => key < value)
+    const runs = [0, 0, 0]
+
+    for (let id = 0; id < 3; id++) {
+      effect(() => {
+        isBelow(id)
+        runs[id]++
+      })
+    }
+
+    setRange(3)
+    assert.deepEqual(runs, [1, 1, 2])
+  })
+
+  await test('readers never see a stale selection', () => {
+    const [selected, setSelected] = signal('a')
+    const isSelected = createSelector(selected)
+    const seen = []
+
+    effect(() => {
+      seen.push(`${selected()}:${isSelected('b')}`)
+    })
+
+    setSelected('b')
+    assert.deepEqual(seen, ['a:false', 'b:true'])
+  })
+
+  await test('stops tracking when the selector is disposed', () => {
+    const [selected, setSelected] = signal(1)
+    let runs = 0
+
+    const dispose = createRoot((dispose) => {
+      const isSelected = createSelector(selected)
+      effect(() => {
+        isSelected(1)
+        runs++
+      })
+      return dispose
+    })
+
+    dispose()
+    setSelected(2)
+    assert.equal(runs, 1)
+  })
+})
+
+await describe('watch and on - explicit dependencies', async () => {
+  await test('watch calls back with the new and previous value', () => {
+    const [budget, setBudget] = signal(1000)
+    const calls = []
+    watch(budget, (next, prev) => calls.push([next, prev]))
+
+    setBudget(1500)
+    setBudget(800)
+    assert.deepEqual(calls, [[1500, 1000], [800, 1500]])
+  })
+
+  await test('immediate also calls back for the current value', () => {
+    const [count] = signal(1)
+    const calls = []
+    watch(count, (next, prev) => calls.push([next, prev]), { immediate: true })
+
+    assert.deepEqual(calls, [[1, undefined]])
+  })
+
+  await test('watch takes an array of getters', () => {
+    const [a, setA] = signal(1)
+    const [b] = signal(2)
+    const calls = []
+    watch([a, b], (next, prev) => calls.push([next, prev]))
+
+    setA(3)
+    assert.deepEqual(calls, [[[3, 2], [1, 2]]])
+  })
+
+  await test('signals read in the callback are not tracked', () => {
+    const [source, setSource] = signal(0)
+    const [other, setOther] = signal('x')
+    let calls = 0
+    watch(source, () => { other(); calls++ })
+
+    setOther('y')
+    assert.equal(calls, 0)
+    setSource(1)
+    setOther('z')
+    assert.equal(calls, 1)
+  })
+
+  await test('onCleanup runs before the next call and on dispose', () => {
+    const [id, setId] = signal(1)
+    const log = []
+    const stop = watch(id, (next, prev, onCleanup) => {
+      log.push(`open ${next}`)
+      onCleanup(() => log.push(`close ${next}`))
+    })
+
+    setId(2)
+    setId(3)
+    stop()
+    setId(4)
+    assert.deepEqual(log, ['open 2', 'close 2', 'open 3', 'close 3'])
+  })
+
+  await test('on() runs right away unless deferred', () => {
+    const [count, setCount] = signal(0)
+    const [step] = signal(10)
+    const eager = []
+    const deferred = []
+
+    effect(on(count, (value, prev) => { eager.push([value, prev, step()]) }))
+    effect(on(count, (value) => { deferred.push(value) }, { defer: true }))
+
+    setCount(1)
+    assert.deepEqual(eager, [[0, undefined, 10], [1, 0, 10]])
+    assert.deepEqual(deferred, [1])
+  })
+
+  await test('on() works in a computed and passes its previous result', () => {
+    const [count, setCount] = signal(1)
+    const total = computed(on(count, (value, prev, prevTotal = 0) => prevTotal + value))
+
+    assert.equal(total(), 1)
+    setCount(2)
+    assert.equal(total(), 3)
+    setCount(5)
+    assert.equal(total(), 8)
+  })
+})
+
+await describe('dev mode - graph and tracing', async () => {
+  await test('getGraph lists named nodes with their edges', () => {
+    configureDevMode({ graph: true })
+    try {
+      const [count, setCount] = signal(1, { name: 'count' })
+      const double = computed(() => count() * 2, { name: 'double' })
+      effect(() => { double() }, { name: 'render' })
+      setCount(2)
+
+      const graph = getGraph()
+      const byName = Object.fromEntries(graph.map(node => [node.name, node]))
+      assert.equal(byName.count.kind, 'signal')
+      assert.equal(byName.count.value, 2)
+      assert.deepEqual(byName.count.observers, [byName.double.id])
+      assert.deepEqual(byName.double.sources, [byName.count.id])
+      assert.deepEqual(byName.render.sources, [byName.double.id])
+      assert.equal(byName.render.label, `effect#${byName.render.id} (render)`)
+    } finally {
+      configureDevMode({ graph: false })
+    }
+  })
+
+  await test('disposed computations leave the graph', () => {
+    configureDevMode({ graph: true })
+    try {
+      const [count] = signal(0)
+      const dispose = effect(() => { count() }, { name: 'temporary' })
+      assert.ok(getGraph().some(node => node.name === 'temporary'))
+
+      dispose()
+      assert.ok(!getGraph().some(node => node.name === 'temporary'))
+    } finally {
+      configureDevMode({ graph: false })
+    }
+  })
+
+  await test('trace reports a write and the chain it re-ran', () => {
+    const traces = []
+    configureDevMode({ trace: trace => traces.push(trace) })
+    try {
+      const [count, setCount] = signal(1, { name: 'count' })
+      const [other] = signal(0, { name: 'other' })
+      const double = computed(() => count() * 2, { name: 'double' })
+      effect(() => { double(); other() }, { name: 'render' })
+
+      traces.length = 0
+      setCount(5)
+
+      assert.equal(traces.length, 1)
+      assert.equal(traces[0].writes.length, 1)
+      assert.ok(traces[0].writes[0].node.endsWith('(count)'))
+      assert.equal(traces[0].writes[0].value, 5)
+      assert.deepEqual(
+        traces[0].runs.map(run => [run.node.replace(/#\d+/, ''), run.causes.map(c => c.replace(/#\d+/, ''))]),
+        [
+          ['computed (double)', ['signal (count)']],
+          ['effect (render)', ['computed (double)']]
+        ]
+      )
+    } finally {
+      configureDevMode({ trace: false })
+    }
+  })
+
+  await test('trace: true logs to the console', () => {
+    const logs = []
+    const originalLog = console.log
+    console.log = (message) => logs.push(message)
+    configureDevMode({ trace: true })
+    try {
+      const [count, setCount] = signal(0, { name: 'count' })
+      effect(() => { count() }, { name: 'logger' })
+      logs.length = 0
+      setCount(1)
+    } finally {
+      configureDevMode({ trace: false })
+      console.log = originalLog
+    }
+
+    assert.equal(logs.length, 1)
+    assert.ok(logs[0].includes('(count) = 1'))
+    assert.ok(logs[0].includes('(logger) <- signal#'))
+  })
+})
+
+await describe('errors - catchError and onError', async () => {
+  await test('catchError routes effect errors to its handler', () => {
+    const [n, setN] = signal(0)
+    const errors = []
+
+    catchError(() => {
+      effect(() => {
+        if (n() === 1) throw new Error('boom')
+      })
+    }, (error) => errors.push(error.message))
+
+    setN(1)
+    setN(2)
+    assert.deepEqual(errors, ['boom'])
+  })
+
+  await test('catchError handles errors thrown by fn itself', () => {
+    const errors = []
+    const result = catchError(() => {
+      throw new Error('setup')
+    }, (error) => errors.push(error.message))
+
+    assert.equal(result, undefined)
+    assert.deepEqual(errors, ['setup'])
+  })
+
+  await test('other effects still run when one throws', () => {
+    const [n, setN] = signal(0)
+    const seen = []
+
+    catchError(() => {
+      effect(() => {
+        if (n() > 0) throw new Error('first')
+      })
+    }, () => {})
+    effect(() => { seen.push(n()) })
+
+    setN(1)
+    assert.deepEqual(seen, [0, 1])
+  })
+
+  await test('unhandled errors reach the writer after the flush finishes', () => {
+    const [n, setN] = signal(0)
+    const seen = []
+
+    effect(() => {
+      if (n() === 1) throw new Error('unhandled')
+    })
+    effect(() => { seen.push(n()) })
+
+    assert.throws(() => setN(1))
+    assert.deepEqual(seen, [0, 1])
+  })
+
+  await test('errors in computeds reach the reading effect\'s scope', () => {
+    const [n, setN] = signal(1)
+    const inverse = computed(() => {
+      if (n() === 0) throw new Error('division by zero')
+      return 1 / n()
+    })
+    const errors = []
+
+    catchError(() => {
+      effect(() => { inverse() })
+    }, (error) => errors.push(error.message))
+
+    setN(0)
+    assert.deepEqual(errors, ['division by zero'])
+  })
+
+  await test('onError handles errors of the effect and its children', () => {
+    const [n, setN] = signal(0)
+    const errors = []
+
+    effect(() => {
+      onError((error) => errors.push(error.message))
+      effect(() => {
+        if (n() === 1) throw new Error('child')
+      })
+    })
+
+    setN(1)
+    assert.deepEqual(errors, ['child'])
+  })
+
+  await test('a handler that throws passes the error up', () => {
+    const [n, setN] = signal(0)
+    const outer = []
+
+    catchError(() => {
+      catchError(() => {
+        effect(() => {
+          if (n() === 1) throw new Error('inner')
+        })
+      }, (error) => { throw new Error(`rethrown ${error.message}`) })
+    }, (error) => outer.push(error.message))
+
+    setN(1)
+    assert.deepEqual(outer, ['rethrown inner'])
+  })
+
+  await test('setErrorHandler catches errors no scope handled', () => {
+    const [n, setN] = signal(0)
+    const errors = []
+    setErrorHandler((error) => errors.push(error.message))
+    try {
+      effect(() => {
+        if (n() === 1) throw new Error('global')
+      })
+      setN(1)
+    } finally {
+      setErrorHandler(null)
+    }
+    assert.deepEqual(errors, ['global'])
+  })
+
+  await test('the boundary is disposed with its owner', () => {
+    const [n, setN] = signal(0)
+    let runs = 0
+
+    const dispose = createRoot((dispose) => {
+      catchError(() => {
+        effect(() => { n(); runs++ })
+      }, () => {})
+      return dispose
+    })
+
+    dispose()
+    setN(1)
+    assert.equal(runs, 1)
+  })
+})
+
 exit()
@@ -0,0 +1,209 @@
+/**
+ * Tests for store.js - deep reactive stores
+ * No DOM required - runs in pure Node.js
+ */
+
+import { describe, test, assert, exit } from '../test-runner.js'
+import { effect } from '../signal.js'
+import { createStore, produce, unwrap } from '../store.js'
+
+await describe('createStore - reading', async () => {
+  await test('reads nested values through the proxy', () => {
+    const [state] = createStore({ user: { name: 'Mari', tags: ['a', 'b'] } })
+    assert.equal(state.user.name, 'Mari')
+    assert.equal(state.user.tags.length, 2)
+    assert.equal(state.user.tags[1], 'b')
+  })
+
+  await test('returns the same proxy for the same object', () => {
+    const [state] = createStore({ user: { name: 'Mari' } })
+    assert.equal(state.user, state.user)
+  })
+
+  await test('array methods work on store arrays', () => {
+    const [state] = createStore({ items: [1, 2, 3] })
+    assert.deepEqual(state.items.map(n => n * 2), [2, 4, 6])
+    assert.ok(Array.isArray(state.items))
+  })
+
+  await test('rejects direct mutation', () => {
+    const [state] = createStore({ count: 1 })
+    const originalWarn = console.warn
+    let warned = false
+    console.warn = () => { warned = true }
+    try {
+      state.count = 5
+    } finally {
+      console.warn = originalWarn
+    }
+    assert.ok(warned)
+    assert.equal(state.count, 1)
+  })
+
+  await test('unwrap returns the raw object', () => {
+    const initial = { a: { b: 1 } }
+    const [state] = createStore(initial)
+    assert.equal(unwrap(state), initial)
+    assert.equal(unwrap(state.a), initial.a)
+  })
+})
+
+await describe('createStore - fine-grained updates', async () => {
+  await test('only effects reading the changed field re-run', () => {
+    const [state, setState] = createStore({
+      expenses: [
+        { id: 1, description: 'Coffee', isPaid: false },
+        { id: 2, description: 'Lunch', isPaid: false }
+      ]
+    })
+    const runs = { paid1: 0, paid2: 0, desc1: 0 }
+
+    effect(() => { state.expenses[0].isPaid; runs.paid1++ })
+    effect(() => { state.expenses[1].isPaid; runs.paid2++ })
+    effect(() => { state.expenses[0].description; runs.desc1++ })
+
+    setState('expenses', 0, 'isPaid', true)
+
+    assert.equal(runs.paid1, 2, 'Reader of expenses[0].isPaid re-runs')
+    assert.equal(runs.paid2, 1, 'Reader of another expense does not')
+    assert.equal(runs.desc1, 1, 'Reader of another field does not')
+    assert.equal(state.expenses[0].isPaid, true)
+  })
+
+  await test('filter functions select array items in the path', () => {
+    const [state, setState] = createStore({
+      expenses: [
+        { id: 'a', isPaid: false },
+        { id: 'b', isPaid: false }
+      ]
+    })
+
+    setState('expenses', exp => exp.id === 'b', 'isPaid', true)
+    assert.equal(state.expenses[0].isPaid, false)
+    assert.equal(state.expenses[1].isPaid, true)
+  })
+
+  await test('arrays of keys update several properties', () => {
+    const [state, setState] = createStore({ a: 1, b: 2, c: 3 })
+    setState(['a', 'c'], 0)
+    assert.deepEqual(unwrap(state), { a: 0, b: 2, c: 0 })
+  })
+
+  await test('updater functions receive the previous value', () => {
+    const [state, setState] = createStore({ count: 1 })
+    setState('count', n => n + 1)
+    assert.equal(state.count, 2)
+  })
+
+  await test('objects are shallow-merged', () => {
+    const [state, setState] = createStore({ settings: { currency: 'USD', budget: 1000 } })
+    let currencyRuns = 0
+
+    effect(() => { state.settings.currency; currencyRuns++ })
+
+    setState('settings', { budget: 2000 })
+    assert.equal(state.settings.budget, 2000)
+    assert.equal(state.settings.currency, 'USD')
+    assert.equal(currencyRuns, 1, 'Unchanged field should not notify')
+
+    setState({ extra: true })
+    assert.equal(state.extra, true)
+  })
+
+  await test('setting undefined deletes the property', () => {
+    const [state, setState] = createStore({ a: 1, b: 2 })
+    setState('b', undefined)
+    assert.deepEqual(Object.keys(state), ['a'])
+  })
+
+  await test('key iteration tracks structure, not values', () => {
+    const [state, setState] = createStore({ a: 1 })
+    let runs = 0
+
+    effect(() => { Object.keys(state); runs++ })
+
+    setState('a', 2)
+    assert.equal(runs, 1, 'Changing a value does not change the keys')
+
+    setState('b', 1)
+    assert.equal(runs, 2, 'Adding a key re-runs')
+  })
+
+  await test('replacing a parent notifies readers of nested fields', () => {
+    const [state, setState] = createStore({ user: { name: 'Mari' } })
+    let seen = null
+
+    effect(() => { seen = state.user.name })
+
+    setState('user', { name: 'Tiina' })
+    assert.equal(seen, 'Tiina')
+  })
+
+  await test('multiple writes in one setter call notify once', () => {
+    const [state, setState] = createStore({ a: 1, b: 2 })
+    let runs = 0
+
+    effect(() => { state.a + state.b; runs++ })
+
+    setState({ a: 10, b: 20 })
+    assert.equal(runs, 2)
+  })
+
+  await test('storing values spread from the store keeps data raw', () => {
+    const [state, setState] = createStore({ items: [{ id: 1 }] })
+    setState('items', [...state.items, { id: 2 }])
+
+    const raw = unwrap(state)
+    assert.equal(raw.items.length, 2)
+    assert.equal(unwrap(raw.items[0]), raw.items[0], 'No proxies inside raw data')
+  })
+})
+
+await describe('produce - draft mutations', async () => {
+  await test('mutating a draft notifies only changed fields', () => {
+    const [state, setState] = createStore({
+      expenses: [{ id: 1, isPaid: false, amount: 5 }]
+    })
+    let paidRuns = 0
+    let amountRuns = 0
+
+    effect(() => { state.expenses[0].isPaid; paidRuns++ })
+    effect(() => { state.expenses[0].amount; amountRuns++ })
+
+    setState('expenses', 0, produce(exp => { exp.isPaid = true }))
+
+    assert.equal(state.expenses[0].isPaid, true)
+    assert.equal(paidRuns, 2)
+    assert.equal(amountRuns, 1)
+  })
+
+  await test('array push on a draft notifies length readers', () => {
+    const [state, setState] = createStore({ items: ['a'] })
+    let length = 0
+
+    effect(() => { length = state.items.length })
+
+    setState(produce(s => { s.items.push('b') }))
+    assert.equal(length, 2)
+    assert.equal(state.items[1], 'b')
+  })
+
+  await test('removing items notifies readers of the removed index', () => {
+    const [state, setState] = createStore({ items: ['a', 'b', 'c'] })
+    let last = null
+
+    effect(() => { last = state.items[2] })
+
+    setState('items', produce(items => { items.splice(1, 1) }))
+    assert.equal(last, undefined)
+    assert.deepEqual(unwrap(state).items, ['a', 'c'])
+  })
+
+  await test('delete on a draft removes the property', () => {
+    const [state, setState] = createStore({ a: 1, b: 2 })
+    setState(produce(s => { delete s.a }))
+    assert.equal('a' in state, false)
+  })
+})
+
+exit()
@@ -9,7 +9,9 @@ import { describe, test, assert, exit } from '../test-runner.js'
 import './dom-setup.js'
 
 // Import after DOM is set up
-const { html } = await import('../template.js')
+const { html, disposeNode, onNodeDispose } = await import('../template.js')
+const { mount, unmount } = await import('../component.js')
+const { signal } = await import('../signal.js')
 
 await describe('html - static templates', async () => {
   await test('creates a simple element', () => {
@@ -145,4 +147,180 @@ await describe('html - event handling', async () => {
   })
 })
 
+await describe('html - reactive children', async () => {
+  await test('disposes bindings of replaced content', () => {
+    const [show, setShow] = signal(0)
+    const [cls, setCls] = signal('a')
+    let reads = 0
+
+    const el = html`<div>${() => {
+      show()
+      return html`<span class=${() => { reads++; return cls() }}>x</span>`
+    }}</div>`
+
+    assert.equal(reads, 1)
+
+    setShow(1)
+    assert.equal(reads, 2)
+
+    setCls('b')
+    assert.equal(reads, 3, 'Only the current span binding should react')
+    assert.equal(el.querySelector('span').className, 'b')
+  })
+})
+
+await describe('html - template cache', async () => {
+  const row = (item) => html`
+    <li class="${item.kind}" data-id="${item.id}">
+      <b>${item.title}</b>${item.tags}<i>${() => item.count}</i>
+    </li>
+  `
+
+  await test('parses each call site once', () => {
+    const originalCreate = document.createElement.bind(document)
+    let parsed = 0
+    document.createElement = (tag, ...rest) => {
+      if (tag === 'template') parsed++
+      return originalCreate(tag, ...rest)
+    }
+    try {
+      for (let i = 0; i < 5; i++) {
+        row({ kind: 'a', id: i, title: 'x', tags: [], count: 0 })
+      }
+    } finally {
+      document.createElement = originalCreate
+    }
+    assert.ok(parsed <= 1, `expected at most one parse, got ${parsed}`)
+  })
+
+  await test('every call gets its own nodes and values', () => {
+    const first = row({ kind: 'a', id: 1, title: 'First', tags: ['x', 'y'], count: 1 })
+    const second = row({ kind: 'b', id: 2, title: 'Second', tags: [], count: 2 })
+
+    assert.ok(first !== second)
+    assert.equal(first.className, 'a')
+    assert.equal(second.getAttribute('data-id'), '2')
+    assert.equal(first.querySelector('b').textContent, 'First')
+    assert.equal(second.querySelector('b').textContent, 'Second')
+    assert.equal(first.textContent.replace(/\s/g, ''), 'Firstxy1')
+    assert.equal(second.querySelector('i').textContent, '2')
+  })
+
+  await test('binds content after a value expanded into several nodes', () => {
+    const el = html`<p>${['a', 'b', 'c']}${'d'}<span>${'e'}</span></p>`
+    const again = html`<p>${['a', 'b', 'c']}${'d'}<span>${'e'}</span></p>`
+
+    assert.equal(el.textContent, 'abcde')
+    assert.equal(again.textContent, 'abcde')
+  })
+
+  await test('values that look like markers stay plain text', () => {
+    const make = (value) => html`<div title="${value}">${value}</div>`
+    make('first')
+    const el = make('<!--dot-x-0-->__dot_x_attr_0__')
+
+    assert.equal(el.getAttribute('title'), '<!--dot-x-0-->__dot_x_attr_0__')
+    assert.equal(el.textContent, '<!--dot-x-0-->__dot_x_attr_0__')
+  })
+
+  await test('cached templates keep reactive bindings independent', () => {
+    const [a, setA] = signal('a1')
+    const [b] = signal('b1')
+    const make = (getter) => html`<span class="${getter}">${getter}</span>`
+    const first = make(a)
+    const second = make(b)
+
+    setA('a2')
+    assert.equal(first.className, 'a2')
+    assert.equal(first.textContent, 'a2')
+    assert.equal(second.className, 'b1')
+  })
+})
+
+await describe('html - disposing bindings', async () => {
+  await test('unmount finds a reactive root after it re-rendered', () => {
+    const container = document.createElement('div')
+    const [view, setView] = signal('a')
+    let reads = 0
+
+    mount(html`${() => { reads++; return html`<p>${view()}</p>` }}`, container)
+    setView('b')
+    assert.equal(container.textContent, 'b')
+
+    unmount(container)
+    setView('c')
+    assert.equal(reads, 2)
+  })
+
+  await test('unmount stops the effects of mounted templates', () => {
+    const container = document.createElement('div')
+    const [label, setLabel] = signal('a')
+    let reads = 0
+
+    mount(html`<p class="${() => label()}">${() => { reads++; return label() }}</p>`, container)
+    unmount(container)
+    setLabel('b')
+    assert.equal(reads, 1)
+    assert.equal(container.childNodes.length, 0)
+  })
+
+  await test('mount disposes what it replaces', () => {
+    const container = document.createElement('div')
+    const [label, setLabel] = signal('a')
+    let reads = 0
+
+    mount(html`<p>${() => { reads++; return label() }}</p>`, container)
+    mount(html`<p>other</p>`, container)
+    setLabel('b')
+    assert.equal(reads, 1)
+  })
+
+  await test('mounting the same element again keeps it reactive', () => {
+    const container = document.createElement('div')
+    const [label, setLabel] = signal('a')
+    const el = html`<p>${() => label()}</p>`
+
+    mount(el, container)
+    mount(el, container)
+    setLabel('b')
+    assert.equal(el.textContent, 'b')
+  })
+
+  await test('disposeNode reaches nested templates', () => {
+    const [label, setLabel] = signal('a')
+    let reads = 0
+    const inner = html`<span>${() => { reads++; return label() }}</span>`
+    const outer = html`<div><section>${inner}</section></div>`
+
+    disposeNode(outer)
+    setLabel('b')
+    assert.equal(reads, 1)
+  })
+
+  await test('replacing a reactive child stops the replaced content', () => {
+    const [show, setShow] = signal(true)
+    const [label, setLabel] = signal('a')
+    let reads = 0
+
+    const el = html`<div>${() => show()
+      ? html`<b>${() => { reads++; return label() }}</b>`
+      : 'hidden'}</div>`
+
+    setShow(false)
+    setLabel('b')
+    assert.equal(reads, 1)
+    assert.equal(el.textContent, 'hidden')
+  })
+
+  await test('onNodeDispose runs registered teardown once', () => {
+    const el = html`<div><span></span></div>`
+    const calls = []
+    onNodeDispose(el.firstChild, () => calls.push('span'))
+
+    disposeNode(el)
+    disposeNode(el)
+    assert.deepEqual(calls, ['span'])
+  })
+})
+
 exit()
@@ -0,0 +1,159 @@
+/**
+ * Tests for time.js - debounced, throttled and timer signals
+ * No DOM required - runs in pure Node.js
+ */
+
+import { describe, test, assert, exit } from '../test-runner.js'
+import { signal, effect, createRoot } from '../signal.js'
+import { debounced, throttled, createInterval, now } from '../time.js'
+
+/**
+ * Wait for timers to fire
+ */
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+/**
+ * Number of pending setTimeout/setInterval timers in this process
+ */
+function liveTimers() {
+  return process.getActiveResourcesInfo().filter(type => type === 'Timeout').length
+}
+
+await describe('debounced', async () => {
+  await test('starts with the current value', () => {
+    const [query] = signal('a')
+    const value = debounced(query, 10)
+    assert.equal(value(), 'a')
+    value.dispose()
+  })
+
+  await test('takes the last value once changes pause', async () => {
+    const [query, setQuery] = signal('')
+    const value = debounced(query, 40)
+    const seen = []
+    effect(() => { seen.push(value()) })
+
+    setQuery('h')
+    await wait(5)
+    setQuery('hi')
+    assert.equal(value(), '')
+
+    await wait(80)
+    assert.deepEqual(seen, ['', 'hi'])
+    value.dispose()
+  })
+
+  await test('drops a pending update when its root is disposed', async () => {
+    const [query, setQuery] = signal('a')
+    let value
+    const dispose = createRoot((dispose) => {
+      value = debounced(query, 10)
+      return dispose
+    })
+
+    setQuery('b')
+    dispose()
+    await wait(20)
+    assert.equal(value(), 'a')
+  })
+})
+
+await describe('throttled', async () => {
+  await test('passes the first change and delivers the latest at the end', async () => {
+    const [position, setPosition] = signal(0)
+    const value = throttled(position, 40)
+    const seen = []
+    effect(() => { seen.push(value()) })
+
+    await wait(50)
+    setPosition(1)
+    setPosition(2)
+    setPosition(3)
+    assert.deepEqual(seen, [0, 1])
+
+    await wait(80)
+    assert.deepEqual(seen, [0, 1, 3])
+    value.dispose()
+  })
+
+  await test('clears its timer on dispose', async () => {
+    const [position, setPosition] = signal(0)
+    const value = throttled(position, 10)
+
+    setPosition(1)
+    value.dispose()
+    await wait(20)
+    assert.equal(value(), 0)
+  })
+})
+
+await describe('createInterval and now', async () => {
+  await test('createInterval counts ticks until disposed', async () => {
+    const tick = createInterval(5)
+    assert.equal(tick(), 0)
+
+    await wait(28)
+    tick.dispose()
+    const count = tick()
+    assert.ok(count >= 2, `expected at least 2 ticks, got ${count}`)
+
+    await wait(15)
+    assert.equal(tick(), count)
+  })
+
+  await test('now() is rounded to the granularity and advances', async () => {
+    const time = now(10)
+    const first = time()
+    assert.equal(first % 10, 0)
+    assert.ok(first <= Date.now())
+
+    await wait(25)
+    assert.ok(time() > first)
+    time.dispose()
+  })
+
+  await test('now() stops with its owning effect', async () => {
+    const [enabled, setEnabled] = signal(true)
+    let runs = 0
+
+    effect(() => {
+      if (!enabled()) return
+      const time = now(5)
+      effect(() => {
+        time()
+        runs++
+      })
+    })
+
+    await wait(12)
+    setEnabled(false)
+    const count = runs
+    await wait(15)
+    assert.equal(runs, count)
+  })
+
+  await test('now() stops when the owner it re-runs disposes it', async () => {
+    const before = liveTimers()
+    let runs = 0
+    const dispose = createRoot((dispose) => {
+      effect(() => {
+        const time = now(5)
+        time()
+        runs++
+      })
+      return dispose
+    })
+
+    await wait(30)
+    assert.ok(runs >= 3, `expected the effect to re-run, got ${runs} runs`)
+    assert.equal(liveTimers(), before + 1)
+
+    dispose()
+    await wait(1)
+    assert.equal(liveTimers(), before)
+  })
+})
+
+exit()
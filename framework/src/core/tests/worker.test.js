@@ -0,0 +1,224 @@
+/**
+ * Tests for worker.js - signal bridges and worker computeds
+ * No DOM required - runs in pure Node.js (MessageChannel and worker_threads)
+ */
+
+import { Worker } from 'node:worker_threads'
+import { describe, test, assert, exit } from '../test-runner.js'
+import { signal, effect, createRoot } from '../signal.js'
+import { bridgeSignals, workerComputed } from '../worker.js'
+
+const reportsUrl = new URL('./fixtures/reports.js', import.meta.url)
+
+/**
+ * Wait until check() passes, failing after a timeout
+ */
+async function waitFor(check, timeout = 2000) {
+  const start = Date.now()
+  while (!check()) {
+    if (Date.now() - start > timeout) {
+      throw new Error('Timed out waiting for the condition')
+    }
+    await new Promise(resolve => setTimeout(resolve, 5))
+  }
+}
+
+/**
+ * Two bridged ends of a MessageChannel
+ */
+function bridgedPair(primaryValue, replicaValue) {
+  const { port1, port2 } = new MessageChannel()
+  const primary = signal(primaryValue)
+  const replica = signal(replicaValue)
+  const primaryBridge = bridgeSignals(port1, { value: primary }, { primary: true })
+  const replicaBridge = bridgeSignals(port2, { value: replica })
+
+  return {
+    primary,
+    replica,
+    replicaBridge,
+    close() {
+      primaryBridge.dispose()
+      replicaBridge.dispose()
+      port1.close()
+    }
+  }
+}
+
+await describe('bridgeSignals - mirroring over a MessagePort', async () => {
+  await test('the replica starts from the primary\'s snapshot', async () => {
+    const pair = bridgedPair({ items: [1, 2] }, null)
+    assert.equal(pair.replicaBridge.ready(), false)
+
+    await waitFor(() => pair.replicaBridge.ready())
+    assert.deepEqual(pair.replica[0](), { items: [1, 2] })
+    pair.close()
+  })
+
+  await test('values arrive as copies, not shared references', async () => {
+    const data = { items: [1] }
+    const pair = bridgedPair(data, null)
+
+    await waitFor(() => pair.replicaBridge.ready())
+    assert.ok(pair.replica[0]() !== data)
+    pair.close()
+  })
+
+  await test('writes flow both ways without echoing back', async () => {
+    const pair = bridgedPair(0, 0)
+    const [primaryValue, setPrimary] = pair.primary
+    const [replicaValue, setReplica] = pair.replica
+    await waitFor(() => pair.replicaBridge.ready())
+
+    let primaryRuns = 0
+    effect(() => { primaryValue(); primaryRuns++ })
+
+    setPrimary(1)
+    await waitFor(() => replicaValue() === 1)
+    setReplica(2)
+    await waitFor(() => primaryValue() === 2)
+
+    await new Promise(resolve => setTimeout(resolve, 20))
+    assert.equal(primaryValue(), 2)
+    assert.equal(replicaValue(), 2)
+    assert.equal(primaryRuns, 3)
+    pair.close()
+  })
+
+  await test('the primary wins concurrent writes of the same version', async () => {
+    const pair = bridgedPair('start', null)
+    const [primaryValue, setPrimary] = pair.primary
+    const [replicaValue, setReplica] = pair.replica
+    await waitFor(() => pair.replicaBridge.ready())
+
+    setPrimary('from primary')
+    setReplica('from replica')
+    await new Promise(resolve => setTimeout(resolve, 20))
+    assert.equal(primaryValue(), 'from primary')
+    assert.equal(replicaValue(), 'from primary')
+    pair.close()
+  })
+
+  await test('stops mirroring when its root is disposed', async () => {
+    const { port1, port2 } = new MessageChannel()
+    const [value, setValue] = signal(0)
+    const [copy, setCopy] = signal(0)
+    const dispose = createRoot((dispose) => {
+      bridgeSignals(port1, { value: [value, setValue] }, { primary: true })
+      return dispose
+    })
+    const replica = bridgeSignals(port2, { value: [copy, setCopy] })
+    await waitFor(() => replica.ready())
+
+    dispose()
+    setValue(5)
+    await new Promise(resolve => setTimeout(resolve, 20))
+    assert.equal(copy(), 0)
+    replica.dispose()
+    port1.close()
+  })
+
+  await test('mirrors signals into a worker_threads worker', async () => {
+    const worker = new Worker(new URL('./fixtures/bridge-worker.js', import.meta.url))
+    const [numbers, setNumbers] = signal([1, 2, 3])
+    const [total, setTotal] = signal(0)
+    const bridge = bridgeSignals(worker, {
+      numbers: [numbers, setNumbers],
+      total: [total, setTotal]
+    }, { primary: true })
+
+    try {
+      await waitFor(() => total() === 6)
+      setNumbers([10, 20])
+      await waitFor(() => total() === 30)
+    } finally {
+      bridge.dispose()
+      await worker.terminate()
+    }
+  })
+})
+
+await describe('workerComputed - derivations in a worker', async () => {
+  await test('computes in a worker and follows its deps', async () => {
+    const [numbers, setNumbers] = signal([1, 2, 3])
+    const sum = workerComputed(reportsUrl, 'total', [numbers], { initialValue: 0 })
+
+    try {
+      assert.equal(sum(), 0)
+      assert.equal(sum.pending(), true)
+      await waitFor(() => sum() === 6)
+      assert.equal(sum.pending(), false)
+
+      setNumbers([4, 5])
+      assert.equal(sum.pending(), true)
+      await waitFor(() => sum() === 9)
+    } finally {
+      sum.dispose()
+    }
+  })
+
+  await test('drops results of superseded runs', async () => {
+    const [numbers, setNumbers] = signal([1])
+    const [delay] = signal(30)
+    const sum = workerComputed(reportsUrl, 'slowTotal', [numbers, delay])
+    const seen = []
+    effect(() => { seen.push(sum()) })
+
+    try {
+      await waitFor(() => sum() === 1)
+      setNumbers([2])
+      setNumbers([3])
+      await waitFor(() => sum() === 3)
+      assert.deepEqual(seen, [undefined, 1, 3])
+    } finally {
+      sum.dispose()
+    }
+  })
+
+  await test('reports errors from the derivation', async () => {
+    const result = workerComputed(reportsUrl, 'fail', [])
+
+    try {
+      await waitFor(() => result.error() !== null)
+      assert.equal(result.error().message, 'report failed')
+      assert.equal(result.pending(), false)
+    } finally {
+      result.dispose()
+    }
+  })
+
+  await test('reports a missing export', async () => {
+    const result = workerComputed(reportsUrl, 'missing', [])
+
+    try {
+      await waitFor(() => result.error() !== null)
+      assert.ok(result.error().message.includes('"missing"'))
+    } finally {
+      result.dispose()
+    }
+  })
+
+  await test('reports dep values that can\'t be sent to the worker', async () => {
+    const [numbers, setNumbers] = signal([1, () => 2])
+    const sum = workerComputed(reportsUrl, 'total', [numbers])
+
+    try {
+      await waitFor(() => sum.error() !== null)
+      assert.ok(sum.error().message.includes('"total"'))
+      assert.equal(sum.pending(), false)
+
+      setNumbers([1, 2])
+      await waitFor(() => sum() === 3)
+      assert.equal(sum.error(), null)
+
+      setNumbers([{ toString: () => 'x', fn() {} }])
+      assert.ok(sum.error().message.includes('"total"'))
+      assert.equal(sum.pending(), false)
+      assert.equal(sum(), 3)
+    } finally {
+      sum.dispose()
+    }
+  })
+})
+
+exit()
@@ -0,0 +1,134 @@
+import { signal, effect, disposeWithOwner } from "./signal.js"
+
+/**
+ * Follow a getter, but only after it stops changing for `ms`
+ * Starts with the getter's current value
+ * @param {() => any} getter - Signal or computed getter
+ * @param {number} ms - Quiet period before the new value is taken
+ * @returns {() => any} - Getter function (with dispose)
+ *
+ * @example
+ * const query = debounced(searchQuery, 300)
+ * const results = computed(() => search(query()))
+ */
+export function debounced(getter, ms) {
+  const [read, write] = signal(undefined)
+  let first = true
+
+  const dispose = effect(() => {
+    const value = getter()
+    if (first) {
+      first = false
+      write(() => value)
+      return
+    }
+    // Cleared by the next change (the effect re-runs) or on dispose
+    const timer = setTimeout(() => write(() => value), ms)
+    return () => clearTimeout(timer)
+  })
+
+  read.dispose = dispose
+  return read
+}
+
+/**
+ * Follow a getter at most once every `ms`
+ * The first change goes through right away, later ones wait for the window
+ * to end; the latest value always arrives
+ * @param {() => any} getter - Signal or computed getter
+ * @param {number} ms - Minimum time between updates
+ * @returns {() => any} - Getter function (with dispose)
+ *
+ * @example
+ * const scroll = throttled(scrollY, 100)
+ */
+export function throttled(getter, ms) {
+  const [read, write] = signal(undefined)
+  let lastUpdate = 0
+  let timer = null
+  let latest
+
+  function update(value) {
+    lastUpdate = Date.now()
+    write(() => value)
+  }
+
+  const disposeEffect = effect(() => {
+    latest = getter()
+    if (timer !== null) return
+
+    const remaining = ms - (Date.now() - lastUpdate)
+    if (remaining <= 0) {
+      update(latest)
+    } else {
+      timer = setTimeout(() => {
+        timer = null
+        update(latest)
+      }, remaining)
+    }
+  })
+
+  // The pending timer outlives single runs, so it is cleared with the owner
+  const dispose = () => {
+    disposeEffect()
+    clearTimeout(timer)
+    timer = null
+  }
+
+  read.dispose = dispose
+  disposeWithOwner(dispose)
+  return read
+}
+
+/**
+ * Count ticks of an interval
+ * @param {number} ms - Interval length
+ * @returns {() => number} - Getter for the number of ticks so far (with dispose)
+ *
+ * @example
+ * const tick = createInterval(1000)
+ * effect(() => { tick(); refreshStatus() })
+ */
+export function createInterval(ms) {
+  const [read, write] = signal(0)
+  const id = setInterval(() => write(count => count + 1), ms)
+
+  const dispose = () => clearInterval(id)
+  read.dispose = dispose
+  disposeWithOwner(dispose)
+  return read
+}
+
+/**
+ * The current time, updated every `granularity` ms
+ * The value is rounded down to the granularity and updates on its boundaries,
+ * so now(60000) changes exactly when the minute does
+ * @param {number} [granularity] - Update interval in ms (default: 1000)
+ * @returns {() => number} - Getter for the timestamp (with dispose)
+ *
+ * @example
+ * const hour = now(60 * 60 * 1000)
+ * const currentMonth = computed(() => new Date(hour()).getMonth())
+ */
+export function now(granularity = 1000) {
+  const round = () => Math.floor(Date.now() / granularity) * granularity
+  const [read, write] = signal(round())
+  let timer = null
+
+  function schedule() {
+    // Wake up just after the next boundary
+    const delay = granularity - (Date.now() % granularity)
+    timer = setTimeout(() => {
+      // Schedule first: the write can re-run the owner, which disposes this
+      // now() and has to find the next timer to clear it
+      schedule()
+      write(round())
+    }, delay)
+  }
+  schedule()
+
+  const dispose = () => clearTimeout(timer)
+  read.dispose = dispose
+  disposeWithOwner(dispose)
+  return read
+}
@@ -1,5 +1,5 @@
-import { signal, effect, computed } from "./signal.js";
-import { html } from "./template.js";
+import { signal, effect, computed, createRoot, disposeWithOwner } from "./signal.js";
+import { html, onNodeDispose } from "./template.js";
 
 /**
  * Create a virtual scrolling list for efficiently rendering large lists
@@ -94,10 +94,20 @@ export function createVirtualList(options) {
   container.addEventListener("scroll", handleScroll, { passive: true });
 
   // Cache for rendered DOM nodes to enable reuse
-  let renderedNodes = new Map(); // key: index, value: { node, item }
+  let renderedNodes = new Map(); // key: index, value: { node, item, dispose }
+
+  /**
+   * Dispose every rendered item's effects
+   */
+  function disposeItems() {
+    for (const { dispose } of renderedNodes.values()) {
+      dispose();
+    }
+    renderedNodes.clear();
+  }
 
   // Effect to update rendered items when range or items change
-  effect(() => {
+  const disposeRender = effect(() => {
     const itemsArray = getItems();
     const { startIndex, endIndex } = visibleRange();
 
@@ -111,10 +121,11 @@ export function createVirtualList(options) {
 
     // Remove nodes that are no longer visible
     for (const index of indicesToRemove) {
-      const { node } = renderedNodes.get(index);
+      const { node, dispose } = renderedNodes.get(index);
       if (node.parentNode) {
         node.parentNode.removeChild(node);
       }
+      dispose();
       renderedNodes.delete(index);
     }
 
@@ -134,7 +145,12 @@ export function createVirtualList(options) {
       }
 
       // Need to render a new node
-      const renderedContent = renderItem(item, i);
+      // Items outlive this effect run, so each gets its own root
+      let disposeItem;
+      const renderedContent = createRoot((dispose) => {
+        disposeItem = dispose;
+        return renderItem(item, i);
+      });
 
       // Wrap in positioned container
       const wrapper = document.createElement("div");
@@ -157,18 +173,24 @@ export function createVirtualList(options) {
       }
 
       // Remove old node if exists
-      if (existing && existing.node.parentNode) {
-        existing.node.parentNode.removeChild(existing.node);
+      if (existing) {
+        if (existing.node.parentNode) {
+          existing.node.parentNode.removeChild(existing.node);
+        }
+        existing.dispose();
       }
 
       // Add to DOM
       content.appendChild(wrapper);
 
       // Cache the node
-      renderedNodes.set(i, { node: wrapper, item });
+      renderedNodes.set(i, { node: wrapper, item, dispose: disposeItem });
     }
   });
 
+  // Item roots are detached, so dispose them along with whatever owns the list
+  disposeWithOwner(disposeItems);
+
   // Expose some utility methods on the container
   container._virtualList = {
     scrollToIndex(index) {
@@ -188,8 +210,14 @@ export function createVirtualList(options) {
       if (rafId) {
         cancelAnimationFrame(rafId);
       }
+      // Stop rendering and tear down item effects
+      disposeRender();
+      disposeItems();
     }
   };
 
+  // Unmounting the container destroys the list
+  onNodeDispose(container, container._virtualList.destroy);
+
   return container;
 }
@@ -0,0 +1,40 @@
+/**
+ * Worker side of workerComputed()
+ * Loads the module named in the init message, then answers compute requests
+ * with the result of calling its export
+ */
+import { listen } from "./worker.js"
+
+const COMPUTE = "dot-js:compute"
+
+// A browser worker talks through its global scope, a Node worker through parentPort
+const port = typeof WorkerGlobalScope !== "undefined"
+  ? globalThis
+  : (await import("node:worker_threads")).parentPort
+
+let derive = null
+
+listen(port, async (data) => {
+  if (!data || data.$type !== COMPUTE) return
+
+  if (data.type === "init") {
+    derive = import(data.moduleUrl).then((module) => {
+      const fn = module[data.exportName]
+      if (typeof fn !== "function") {
+        throw new Error(`${data.moduleUrl} has no exported function "${data.exportName}"`)
+      }
+      return fn
+    })
+    return
+  }
+
+  if (data.type === "compute") {
+    try {
+      const fn = await derive
+      const value = await fn(...data.args)
+      port.postMessage({ $type: COMPUTE, type: "result", id: data.id, value })
+    } catch (error) {
+      port.postMessage({ $type: COMPUTE, type: "error", id: data.id, error })
+    }
+  }
+})
@@ -0,0 +1,281 @@
+import { signal, effect, batch, untrack, disposeWithOwner } from "./signal.js"
+
+/**
+ * Marks messages sent by a bridge, so other traffic on the port is ignored
+ */
+const BRIDGE = "dot-js:bridge"
+
+/**
+ * Marks messages between workerComputed() and worker-runner.js
+ */
+const COMPUTE = "dot-js:compute"
+
+/**
+ * Listen for messages on a Worker, MessagePort or worker_threads port
+ * Browser ports (and Node MessagePorts) are EventTargets; a worker_threads
+ * Worker is an EventEmitter that passes the data directly
+ * @param {Object} port
+ * @param {(data: any) => void} handler - Called with each message's data
+ * @returns {() => void} - Stop listening
+ */
+export function listen(port, handler) {
+  if (typeof port.addEventListener === "function") {
+    const listener = (event) => handler(event.data)
+    port.addEventListener("message", listener)
+    // MessagePorts hold messages until started
+    port.start?.()
+    return () => port.removeEventListener("message", listener)
+  }
+  port.on("message", handler)
+  return () => port.off("message", handler)
+}
+
+/**
+ * Listen for a worker failing to start or throwing outside a message handler
+ * @param {Object} worker
+ * @param {(error: any) => void} handler
+ */
+function listenForErrors(worker, handler) {
+  if (typeof worker.addEventListener === "function") {
+    worker.addEventListener("error", (event) => handler(event.error ?? new Error(event.message)))
+  } else {
+    worker.on("error", handler)
+  }
+}
+
+/**
+ * Post a message, saying what was being sent if it can't be cloned
+ * @param {Object} port
+ * @param {Object} message
+ * @param {string} label - e.g. 'signal "expenses" across the bridge', for the error message
+ */
+function post(port, message, label) {
+  try {
+    port.postMessage(message)
+  } catch (error) {
+    throw new Error(`Can't send ${label}: ${error.message}`)
+  }
+}
+
+/**
+ * Mirror signals across a Worker or MessagePort
+ * Both sides call it with the same names. Values travel as structured-clone
+ * snapshots and every write carries a version, so late or echoed messages are
+ * dropped. Exactly one side should be primary: it sends the initial snapshot
+ * and wins when both sides write the same version
+ * @param {Object} port - Worker, MessagePort, or worker_threads parentPort/Worker
+ * @param {Object<string, [() => any, (v: any) => void]>} signals - Name => [getter, setter]
+ * @param {Object} [options]
+ * @param {boolean} [options.primary] - This side holds the source of truth
+ * @returns {{ ready: () => boolean, dispose: () => void }} - ready turns true
+ *   once the primary's snapshot arrived (right away on the primary)
+ *
+ * @example
+ * // main thread
+ * const worker = new Worker("./report-worker.js", { type: "module" })
+ * bridgeSignals(worker, { expenses: [expenses, setExpenses] }, { primary: true })
+ *
+ * // report-worker.js
+ * bridgeSignals(self, { expenses: signal([]), report: [report, setReport] })
+ */
+export function bridgeSignals(port, signals, options = {}) {
+  const primary = !!options.primary
+  const [ready, setReady] = signal(primary)
+  const entries = new Map()
+  const disposers = []
+
+  for (const [name, [get, set]] of Object.entries(signals)) {
+    // received: the last value applied from the other side, not sent back
+    const entry = { get, set, version: 0, received: undefined, hasReceived: false }
+    entries.set(name, entry)
+
+    let first = true
+    disposers.push(effect(() => {
+      const value = get()
+      if (first) {
+        first = false
+        return
+      }
+      if (entry.hasReceived && Object.is(value, entry.received)) return
+
+      entry.version++
+      post(port, { $type: BRIDGE, type: "update", name, value, version: entry.version }, `signal "${name}" across the bridge`)
+    }))
+  }
+
+  /**
+   * Apply a value from the other side if it is newer than ours
+   * The replica also takes equal versions, so the primary wins ties
+   */
+  function apply(name, value, version) {
+    const entry = entries.get(name)
+    if (!entry) return
+    if (version < entry.version || (primary && version === entry.version)) return
+
+    entry.version = version
+    entry.received = value
+    entry.hasReceived = true
+    entry.set(() => value)
+  }
+
+  function sendSnapshot() {
+    const values = {}
+    for (const [name, entry] of entries) {
+      values[name] = { value: untrack(entry.get), version: entry.version }
+    }
+    post(port, { $type: BRIDGE, type: "snapshot", values }, "the snapshot across the bridge")
+  }
+
+  const stopListening = listen(port, (data) => {
+    if (!data || data.$type !== BRIDGE) return
+
+    if (data.type === "update") {
+      apply(data.name, data.value, data.version)
+    } else if (data.type === "snapshot" && !primary) {
+      for (const [name, { value, version }] of Object.entries(data.values)) {
+        apply(name, value, version)
+      }
+      setReady(true)
+    } else if (data.type === "hello" && primary) {
+      sendSnapshot()
+    }
+  })
+
+  // Whichever side starts first, the replica gets a snapshot: either this
+  // one, or the answer to its hello
+  if (primary) {
+    sendSnapshot()
+  } else {
+    port.postMessage({ $type: BRIDGE, type: "hello" })
+  }
+
+  let disposed = false
+  const dispose = () => {
+    if (disposed) return
+    disposed = true
+    stopListening()
+    disposers.forEach(stop => stop())
+  }
+
+  disposeWithOwner(dispose)
+  return { ready, dispose }
+}
+
+/**
+ * Start the worker that runs worker-runner.js
+ * A browser module Worker where available, worker_threads in Node
+ * @returns {Promise<Object>}
+ */
+async function startWorker() {
+  const runnerUrl = new URL("./worker-runner.js", import.meta.url)
+  if (typeof Worker === "function") {
+    return new Worker(runnerUrl, { type: "module" })
+  }
+  const { Worker: NodeWorker } = await import("node:worker_threads")
+  return new NodeWorker(runnerUrl)
+}
+
+/**
+ * Compute a value in a worker, off the UI thread
+ * Calls moduleUrl's exportName with the values of deps whenever they change;
+ * results of superseded runs are dropped. The worker is terminated when the
+ * current effect or root is disposed, or via getter.dispose()
+ * @param {string|URL} moduleUrl - Absolute URL of the module, e.g. new URL("./reports.js", import.meta.url)
+ * @param {string} exportName - Exported function: (...depValues) => result (or a promise)
+ * @param {Array<() => any>} deps - Getters whose values are passed as arguments
+ * @param {Object} [options]
+ * @param {any} [options.initialValue] - Value until the first result arrives
+ * @returns {() => any} - Getter for the latest result (with pending, error and dispose)
+ *
+ * @example
+ * const stats = workerComputed(new URL("./reports.js", import.meta.url), "categoryStats", [expenses], {
+ *   initialValue: []
+ * })
+ */
+export function workerComputed(moduleUrl, exportName, deps, options = {}) {
+  const [read, write] = signal(options.initialValue)
+  const [pending, setPending] = signal(true)
+  const [error, setError] = signal(null)
+
+  let worker = null
+  let stopListening = null
+  let disposed = false
+  let latest = 0
+  // Latest request made before the worker was up
+  let queued = null
+
+  /**
+   * Post a compute request, or hold it until the worker is up
+   * Dep values that can't be cloned end up in error() instead of throwing
+   */
+  function send(message) {
+    if (!worker) {
+      queued = message
+      return
+    }
+    try {
+      post(worker, message, `the arguments of "${exportName}" to the worker`)
+    } catch (sendError) {
+      batch(() => {
+        setError(sendError)
+        setPending(false)
+      })
+    }
+  }
+
+  startWorker().then((started) => {
+    if (disposed) {
+      started.terminate()
+      return
+    }
+    worker = started
+    stopListening = listen(worker, (data) => {
+      if (!data || data.$type !== COMPUTE || data.id !== latest) return
+      batch(() => {
+        if (data.type === "result") {
+          write(() => data.value)
+          setError(null)
+        } else {
+          setError(data.error)
+        }
+        setPending(false)
+      })
+    })
+    listenForErrors(worker, (workerError) => {
+      setError(workerError)
+      setPending(false)
+    })
+    worker.postMessage({ $type: COMPUTE, type: "init", moduleUrl: String(moduleUrl), exportName })
+    if (queued) {
+      const message = queued
+      queued = null
+      send(message)
+    }
+  }, (startError) => {
+    setError(startError)
+    setPending(false)
+  })
+
+  const stopEffect = effect(() => {
+    const args = deps.map(dep => dep())
+    latest++
+    setPending(true)
+    send({ $type: COMPUTE, type: "compute", id: latest, args })
+  })
+
+  const dispose = () => {
+    if (disposed) return
+    disposed = true
+    stopEffect()
+    if (worker) {
+      stopListening()
+      worker.terminate()
+    }
+  }
+
+  read.pending = pending
+  read.error = error
+  read.dispose = dispose
+  disposeWithOwner(dispose)
+  return read
+}
@@ -1,10 +1,61 @@
 // Barrel export file for the framework public API
 
 // Reactive primitives
-export { signal, effect, computed, createPersistedSignal } from './core/signal.js'
+export {
+  signal,
+  effect,
+  computed,
+  batch,
+  flushSync,
+  configureScheduler,
+  untrack,
+  onCleanup,
+  disposeWithOwner,
+  createRoot,
+  getOwner,
+  runWithOwner,
+  shallowEqual,
+  createSelector,
+  on,
+  watch,
+  configureDevMode,
+  getGraph,
+  catchError,
+  onError,
+  setErrorHandler
+} from './core/signal.js'
+
+// Persisted signals
+export {
+  createPersistedSignal,
+  localStorageAdapter,
+  sessionStorageAdapter,
+  memoryAdapter,
+  indexedDBAdapter,
+  jsonSerializer,
+  richJsonSerializer
+} from './core/persist.js'
+
+// Deep reactive stores
+export { createStore, produce, unwrap } from './core/store.js'
+
+// Reactive collections
+export { ReactiveMap, ReactiveSet, createReactiveArray } from './core/collections.js'
+
+// Undo/redo
+export { createHistory } from './core/history.js'
+
+// Observables, async iterators and events
+export { from, toObservable, toAsyncIterator, fromEvent } from './core/interop.js'
+
+// Time-based signals
+export { debounced, throttled, createInterval, now } from './core/time.js'
+
+// Workers
+export { bridgeSignals, workerComputed } from './core/worker.js'
 
 // Template system
-export { html } from './core/template.js'
+export { html, disposeNode, onNodeDispose } from './core/template.js'
 
 // Component mounting
 export { mount, unmount } from './core/component.js'
@@ -19,6 +70,7 @@ export {
   bindSelect,
   bindRadio,
   bindNumber,
+  lens,
   handleForm,
   required,
   minLength,
@@ -27,7 +79,7 @@ export {
 } from './core/form.js'
 
 // HTTP utilities
-export { http, useAsync, HttpError } from './core/http.js'
+export { http, useAsync, asyncEffect, HttpError } from './core/http.js'
 
 // List rendering
 export { list, each } from './core/list.js'